@@ -16,8 +16,14 @@ cp -r src/background dist/
 # Copy content scripts
 cp -r src/content dist/
 
-# Copy lib files
-cp -r src/lib dist/
+# Copy offscreen document
+cp -r src/offscreen dist/
+
+# Copy endpoint permission page
+cp -r src/permissions dist/
+
+# Bundle the Gemini SDK for the background script
+npm run build:genai
 
 # Copy popup files
 cp -r src/popup dist/
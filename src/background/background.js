@@ -1,8 +1,11 @@
 /**
  * Style Me Chrome Extension - Background Service Worker
- * Handles API calls to OpenRouter for progressive outfit generation, manages communication with content scripts
+ * Handles API calls to image generation providers for progressive outfit generation, manages communication with content scripts
  */
 
+// Bundled @google/genai SDK, exposed as the `genai` global (see src/lib/genai.js)
+importScripts('../lib/genai.js');
+
 // Utility functions (included directly since ES6 imports aren't supported in service workers)
 
 /**
@@ -23,9 +26,10 @@ function generateUrlHash(url) {
 /**
  * Retrieves cached product image if available
  * @param {string} productImageUrl - The URL of the product image
+ * @param {string} [promptVersion] - Only accept images extracted with this prompt version
  * @returns {Promise<string|null>} - Cached base64 image or null if not found
  */
-async function getCachedProductImage(productImageUrl) {
+async function getCachedProductImage(productImageUrl, promptVersion) {
   try {
     const urlHash = generateUrlHash(productImageUrl);
     const cacheKey = `productImage_${urlHash}`;
@@ -37,6 +41,11 @@ async function getCachedProductImage(productImageUrl) {
         typeof result[cacheKey].image === 'string' &&
         result[cacheKey].image.startsWith('data:')
       ) {
+        // Extracted with an older or edited template, extract it again
+        if (promptVersion && result[cacheKey].promptVersion !== promptVersion) {
+          console.log(`Cached product image is stale for: ${productImageUrl}`);
+          return null;
+        }
         console.log(`Found valid cached product image for: ${productImageUrl}`);
         return result[cacheKey];
       } else {
@@ -58,8 +67,9 @@ async function getCachedProductImage(productImageUrl) {
  * Stores product image in cache for future reuse
  * @param {string} productImageUrl - The URL of the product image
  * @param {string} base64Image - The base64 encoded image to cache
+ * @param {string} [promptVersion] - Extraction prompt version that produced the image
  */
-async function cacheProductImage(productImageUrl, base64Image) {
+async function cacheProductImage(productImageUrl, base64Image, promptVersion) {
   try {
     const urlHash = generateUrlHash(productImageUrl);
     const cacheKey = `productImage_${urlHash}`;
@@ -69,6 +79,7 @@ async function cacheProductImage(productImageUrl, base64Image) {
       image: base64Image,
       timestamp: Date.now(),
       url: productImageUrl,
+      promptVersion,
     };
 
     await chrome.storage.local.set({ [cacheKey]: cacheData });
@@ -166,14 +177,15 @@ async function getCacheInfo() {
 /**
  * Converts an image URL to base64 data URL for API submission
  * @param {string} imageUrl - The URL of the image to convert
+ * @param {AbortSignal} [signal] - Aborts the download
  * @returns {Promise<string>} - Base64 data URL
  */
-async function convertUrlToBase64(imageUrl) {
+async function convertUrlToBase64(imageUrl, signal) {
   try {
     console.log(`Converting image to base64: ${imageUrl}`);
 
     // Fetch the image as a blob to avoid stack overflow with large images
-    const response = await fetch(imageUrl);
+    const response = await fetch(imageUrl, { signal });
     if (!response.ok) {
       throw new Error(`Failed to fetch image: ${response.status}`);
     }
@@ -229,427 +241,3111 @@ async function convertUrlToBase64(imageUrl) {
 }
 
 /**
- * Generates a single outfit image from multiple apparel items using OpenRouter/Gemini
- * Creates a composite image of all products and sends it to the API in one call
- * @param {string} apiKey - User's OpenRouter API key
- * @param {string} inputImageUrl - Base mannequin or input image URL
- * @param {Array<{name: string, image: string}>} products - List of apparel items with image URLs
- * @returns {Promise<string>} - Generated outfit image URL
+ * Error raised by image providers for failed backend calls
+ * `kind` tells callers whether retrying can help:
+ * 'rate_limit', 'server' and 'network' are transient, 'auth', 'quota', 'request' and 'no_image' are not
  */
-async function generateOutfitImage(apiKey, inputImageUrl, products) {
-  if (!apiKey) throw new Error('API key is required');
+class ProviderError extends Error {
+  constructor(
+    message,
+    { status = null, kind = 'request', retryAfterMs = null } = {}
+  ) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.kind = kind;
+    this.retryAfterMs = retryAfterMs;
+  }
 
-  console.log(
-    `Starting single composite outfit generation with ${products.length} products...`
+  get retryable() {
+    return ['rate_limit', 'server', 'network'].includes(this.kind);
+  }
+}
+
+/**
+ * Reads how long the backend asked us to wait before retrying
+ * Supports the standard Retry-After header (seconds or HTTP date), OpenRouter's
+ * X-RateLimit-Reset (epoch milliseconds) and Gemini's retryDelay error detail
+ * @param {Headers} headers - Response headers
+ * @param {string} errText - Response body
+ * @returns {number|null} - Delay in milliseconds, or null when not specified
+ */
+function parseRetryAfter(headers, errText = '') {
+  const retryAfter = headers && headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+  }
+
+  const rateLimitReset = headers && headers.get('x-ratelimit-reset');
+  if (rateLimitReset && Number.isFinite(Number(rateLimitReset))) {
+    return Math.max(0, Number(rateLimitReset) - Date.now());
+  }
+
+  const retryDelay = /"retryDelay":\s*"(\d+(?:\.\d+)?)s"/.exec(errText);
+  if (retryDelay) {
+    return Number(retryDelay[1]) * 1000;
+  }
+
+  return null;
+}
+
+/**
+ * Builds a ProviderError from a failed HTTP response
+ * @param {string} providerName - Provider name for the error message
+ * @param {number} status - HTTP status code
+ * @param {string} errText - Response body
+ * @param {Headers} [headers] - Response headers
+ * @returns {ProviderError} - Classified error
+ */
+function createProviderError(providerName, status, errText, headers) {
+  let kind = 'request';
+  let hint = '';
+
+  if (status === 401 || status === 403) {
+    kind = 'auth';
+    hint = ' Please check your API key.';
+  } else if (status === 402) {
+    kind = 'quota';
+    hint = ' Your account has run out of credits.';
+  } else if (status === 429) {
+    kind = 'rate_limit';
+  } else if (status >= 500 || status === 408) {
+    kind = 'server';
+  }
+
+  return new ProviderError(
+    `${providerName} API Error: ${status} ${errText}${hint}`,
+    { status, kind, retryAfterMs: parseRetryAfter(headers, errText) }
   );
+}
 
-  // Step 1: Extract and prepare all product images
-  const productImages = [];
-  const productNames = [];
+/**
+ * Default retry policy for model calls
+ */
+const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 4,
+  baseDelayMs: 2000,
+  maxDelayMs: 30000,
+  // Give up instead of waiting when the backend asks for a longer pause
+  maxRetryAfterMs: 120000,
+};
 
-  for (let i = 0; i < products.length; i++) {
-    const product = products[i];
-    console.log(
-      `\n--- Processing product ${i + 1}/${products.length}: ${
-        product.name
-      } ---`
-    );
+/**
+ * Runs an operation, retrying transient failures with exponential backoff and full jitter
+ * Honours the backend's Retry-After and never retries auth, quota or bad-request errors
+ * @param {Function} operation - Async function to run, receives the attempt number
+ * @param {Object} [policy] - Overrides for DEFAULT_RETRY_POLICY
+ * @param {Function} [policy.onRetry] - Called with ({attempt, maxAttempts, delayMs, error}) before each retry
+ * @param {AbortSignal} [policy.signal] - Stops retrying and interrupts the backoff wait
+ * @returns {Promise<*>} - Result of the operation
+ */
+async function withRetry(operation, policy = {}) {
+  const {
+    maxAttempts,
+    baseDelayMs,
+    maxDelayMs,
+    maxRetryAfterMs,
+    onRetry,
+    signal,
+  } = {
+    ...DEFAULT_RETRY_POLICY,
+    ...policy,
+  };
 
-    // Extract actual product image from the product image URL
-    console.log(`Extracting actual product image for ${product.name}...`);
-    let actualProductImageBase64;
+  for (let attempt = 1; ; attempt++) {
+    if (signal) signal.throwIfAborted();
 
     try {
-      // Check if image is already cached
-      const cachedImage = await getCachedProductImage(product.image);
-      if (cachedImage && cachedImage.image) {
-        console.log(`Using cached product image for ${product.name}`);
-        actualProductImageBase64 = cachedImage.image;
-      } else {
-        actualProductImageBase64 = await extractActualProductImage(
-          apiKey,
-          product.image,
-          product.name
-        );
-        console.log(
-          `Successfully extracted actual product image for ${product.name} (API call)`
-        );
+      return await operation(attempt);
+    } catch (error) {
+      // fetch() rejects with a TypeError when the network request itself fails
+      const retryable =
+        error instanceof ProviderError
+          ? error.retryable
+          : error instanceof TypeError;
+
+      if (!retryable || attempt >= maxAttempts) {
+        throw error;
+      }
+
+      const backoffMs =
+        Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+      const retryAfterMs = error.retryAfterMs;
+      if (retryAfterMs && retryAfterMs > maxRetryAfterMs) {
+        throw error;
       }
-    } catch (extractError) {
+      const delayMs = Math.round(Math.max(backoffMs, retryAfterMs || 0));
+
       console.warn(
-        `Failed to extract actual product image for ${product.name}, using original:`,
-        extractError.message
+        `Attempt ${attempt}/${maxAttempts} failed, retrying in ${delayMs}ms:`,
+        error.message
       );
-      // Fallback to original image if extraction fails
-      actualProductImageBase64 = await convertUrlToBase64(product.image);
+      if (onRetry) {
+        onRetry({ attempt, maxAttempts, delayMs, error });
+      }
+      await sleep(delayMs, signal);
     }
-
-    productImages.push(actualProductImageBase64);
-    productNames.push(product.name);
   }
+}
 
-  // Step 2: Prepare product images for API (no composite needed in service worker)
-  console.log('Preparing product images for API...');
-
-  // Step 3: Build content parts for single API call
-  const contentParts = [
-    {
-      type: 'text',
-      text: `
-Your task is to create a complete outfit by integrating ALL the provided apparel items onto the base model simultaneously.
+/**
+ * Waits for a delay, rejecting early with the abort reason when the signal fires
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
 
-**Apparel Items to Integrate:**
-${productNames.map((name, index) => `${index + 1}. ${name}`).join('\n')}
+/**
+ * Whether an error was caused by cancelling a generation
+ * @param {*} error - Caught error
+ * @returns {boolean} - True for abort errors
+ */
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
 
-**Instructions:**
-1. **Integrate All Items Realistically:** Place ALL apparel items onto the model at once, ensuring they work together as a cohesive outfit.
-2. **Layering & Coordination:** Consider how the items should be layered (e.g., shirt under jacket, pants with shirt tucked in).
-3. **Match the Scene:** The lighting and shadows on ALL apparel must perfectly match the existing light source in the base image.
-4. **Preserve Integrity:** Do not change the model's face, pose, body, or the background. All apparel colors, textures, and designs must remain identical to the product images provided.
-5. **Outfit Harmony:** Ensure all items work together visually and functionally as a complete, stylish outfit.
-`,
-    },
-    {
-      type: 'image_url',
-      image_url: {
-        url: await convertUrlToBase64(inputImageUrl),
-        detail: 'high_res',
-      },
-      text: 'This is the **Base Model Image** - the foundation for the outfit.',
-    },
-  ];
+/**
+ * Longest slice of model text quoted in "no image" errors
+ */
+const MAX_QUOTED_RESPONSE_LENGTH = 300;
 
-  // Add each product image separately to the content
-  productImages.forEach((productImage, index) => {
-    contentParts.push({
-      type: 'image_url',
-      image_url: {
-        url: productImage,
-        detail: 'high_res',
-      },
-      text: `This is **Apparel Item ${index + 1}**: ${productNames[index]}.`,
-    });
-  });
+/**
+ * Detects an image format from its leading bytes
+ * Declared MIME types are unreliable, models and CDNs mislabel images regularly
+ * @param {Uint8Array} bytes - Decoded image bytes
+ * @returns {string|null} - MIME type, or null when the bytes are not a supported image
+ */
+function detectImageMimeType(bytes) {
+  const startsWith = (signature, offset = 0) =>
+    signature.every((byte, i) => bytes[offset + i] === byte);
 
-  // Step 4: Build request for single API call
-  const request = {
-    model: 'google/gemini-2.5-flash-image-preview:free',
-    messages: [
-      {
-        role: 'system',
-        content: `
-***
+  if (startsWith([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith([0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith([0x47, 0x49, 0x46, 0x38])) {
+    return 'image/gif';
+  }
+  if (
+    startsWith([0x52, 0x49, 0x46, 0x46]) &&
+    startsWith([0x57, 0x45, 0x42, 0x50], 8)
+  ) {
+    return 'image/webp';
+  }
+  return null;
+}
 
-## **ROLE**
-You are an expert **Photorealistic Virtual Try-On Compositor** and **Digital Apparel Stylist**, specializing in creating hyper-realistic fashion imagery for e-commerce and marketing.
+/**
+ * Reads pixel dimensions from an image header without decoding the image
+ * @param {Uint8Array} bytes - Decoded image bytes
+ * @param {string} mimeType - Format from detectImageMimeType()
+ * @returns {{width: number, height: number}|null} - Dimensions, or null when the header is unreadable
+ */
+function readImageDimensions(bytes, mimeType) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const readUint24LE = (offset) =>
+    bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
 
-## **OBJECTIVE**
-To seamlessly and authentically integrate MULTIPLE apparel items onto a base model image simultaneously, resulting in a high-fidelity, production-ready photograph of a complete outfit that is indistinguishable from real photography.
+  try {
+    if (mimeType === 'image/png') {
+      return { width: view.getUint32(16), height: view.getUint32(20) };
+    }
 
-## **INPUTS**
-* **Base Model Image:** A photograph of a human model in a specific pose and environment. This image defines the scene, lighting, and model's physical attributes.
-* **Individual Apparel Images:** Multiple separate images, each containing one apparel item to be integrated, perfectly segmented and presented as if laid flat or on a "ghost" mannequin. Each image defines the exact appearance of its respective garment.
+    if (mimeType === 'image/gif') {
+      return {
+        width: view.getUint16(6, true),
+        height: view.getUint16(8, true),
+      };
+    }
 
-## **CORE EXECUTION WORKFLOW**
+    if (mimeType === 'image/webp') {
+      const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+      if (chunk === 'VP8X') {
+        return { width: readUint24LE(24) + 1, height: readUint24LE(27) + 1 };
+      }
+      if (chunk === 'VP8 ') {
+        return {
+          width: view.getUint16(26, true) & 0x3fff,
+          height: view.getUint16(28, true) & 0x3fff,
+        };
+      }
+      if (chunk === 'VP8L') {
+        const bits = view.getUint32(21, true);
+        return {
+          width: (bits & 0x3fff) + 1,
+          height: ((bits >> 14) & 0x3fff) + 1,
+        };
+      }
+      return null;
+    }
 
-### **Multi-Item Integration (CRITICAL REALISM):**
-* **Simultaneous Integration:** Integrate ALL apparel items at once, not one by one, ensuring they work together as a cohesive outfit.
-* **Layering Logic:** Apply proper layering principles (e.g., undershirt beneath overshirt, shirt tucked into pants, jacket over shirt).
-* **3D Form Adaptation:** Map ALL 2D apparel images onto the model's 3D body contours, accounting for the model's curves, muscles, and bone structure.
-* **Dynamic Draping & Folds:** Generate realistic fabric folds, wrinkles, and creases for ALL items that respond to:
-    * The model's pose and movement
-    * The inherent properties of each fabric type
-    * Gravity and natural hanging
-    * How items interact with each other (e.g., shirt fabric under jacket)
+    if (mimeType === 'image/jpeg') {
+      // Walk the marker segments until a start-of-frame, which carries the size
+      let offset = 2;
+      while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xff) {
+          return null;
+        }
+        const marker = bytes[offset + 1];
+        if (marker === 0xff) {
+          offset += 1;
+          continue;
+        }
+        const isStartOfFrame =
+          marker >= 0xc0 &&
+          marker <= 0xcf &&
+          ![0xc4, 0xc8, 0xcc].includes(marker);
+        if (isStartOfFrame) {
+          return {
+            width: view.getUint16(offset + 7),
+            height: view.getUint16(offset + 5),
+          };
+        }
+        offset += 2 + view.getUint16(offset + 2);
+      }
+    }
+  } catch (error) {
+    // Truncated header, fall through to unknown dimensions
+  }
+  return null;
+}
 
-### **Photometric Integration (Lighting & Shadows):**
-* **Unified Shadow System:** Cast shadows from ALL garments onto the model's body and vice-versa, ensuring consistency with the base image's light source(s).
-* **Light Interaction:** ALL apparel fabrics must reflect and absorb light consistently within the same light environment.
-* **Inter-Item Shadows:** Generate realistic shadows between overlapping garments (e.g., jacket casting shadows on shirt underneath).
+/**
+ * Checks that a data URL holds a real image and fixes its declared MIME type
+ * @param {string} dataUrl - Base64 data URL
+ * @returns {{dataUrl: string, mimeType: string, width: number|null, height: number|null}} - Validated image
+ */
+function validateImageDataUrl(dataUrl) {
+  const { mimeType: declaredType, data } = splitDataUrl(dataUrl);
 
-### **Apparel Integrity Preservation (Absolute Fidelity):**
-* **NO Modification of Product Appearance:** The color, exact texture, fabric weave, graphic prints, embroidery, and any brand logos or labels for ALL items *must remain absolutely identical* to the provided product images.
-* **Detail Retention:** Maintain all intricate details of ALL apparel items.
+  let binary;
+  try {
+    binary = atob(data.replace(/\s/g, ''));
+  } catch (error) {
+    throw new Error('image data is not valid base64');
+  }
 
-### **Scene Integrity (Unwavering Consistency):**
-* **Base Image as Anchor:** The base model image serves as the immutable foundation. Do not alter the model's facial features, expression, hair, skin tone, or original posture.
-* **Environment & Background:** The original background and environment must be preserved without any modifications.
+  const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  const mimeType = detectImageMimeType(bytes);
+  if (!mimeType) {
+    throw new Error(
+      `data labelled ${declaredType} is not a PNG, JPEG, GIF or WebP image`
+    );
+  }
 
-## **EXCLUSIONS (Strict Adherence)**
-* **NO Additions:** Do not introduce any new elements, accessories, props, text overlays, or external branding.
-* **NO Stylization:** Do not apply any filters, color grading, or artistic effects that deviate from the native photographic style.
-* **NO Distortions:** Avoid any unnatural stretching, warping, or blurring of the apparel or the model.
+  const dimensions = readImageDimensions(bytes, mimeType);
+  if (dimensions && (!dimensions.width || !dimensions.height)) {
+    throw new Error('image has zero width or height');
+  }
 
-## **OUTPUT**
-A single, high-resolution composite image presenting the model wearing ALL the specified apparel items as a complete, cohesive outfit, captured as if in a single, authentic photograph.`,
-      },
-      {
-        role: 'user',
-        content: contentParts,
-      },
-    ],
-    temperature: 0.2,
+  return {
+    dataUrl:
+      mimeType === declaredType
+        ? dataUrl
+        : `data:${mimeType};base64,${data}`,
+    mimeType,
+    width: dimensions ? dimensions.width : null,
+    height: dimensions ? dimensions.height : null,
   };
+}
 
-  console.log('Calling API with composite image for all products...');
+/**
+ * Finds image references in free-form model text
+ * Only data URLs, markdown image links and links to image files count,
+ * so links to product pages or docs in the text are not mistaken for results.
+ * Data URLs end at the first non-base64 character, so trailing prose is left out
+ * @param {string} text - Model text output
+ * @returns {Array<string>} - Data URLs and image URLs, in order of appearance
+ */
+function findImageReferences(text) {
+  const patterns = [
+    /data:image\/[a-z0-9.+-]+;base64,[A-Za-z0-9+/]+={0,2}/gi,
+    /!\[[^\]]*\]\(\s*<?(https?:\/\/[^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/gi,
+    /https?:\/\/[^\s)"'<>\]]+\.(?:png|jpe?g|webp|gif)(?:\?[^\s)"'<>\]]*)?/gi,
+  ];
 
-  // Step 5: Call OpenRouter API once with all products
-  const response = await fetch(
-    'https://openrouter.ai/api/v1/chat/completions',
-    {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(request),
+  const matches = [];
+  for (const pattern of patterns) {
+    for (const match of text.matchAll(pattern)) {
+      matches.push({ index: match.index, reference: match[1] || match[0] });
     }
-  );
-
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(`OpenRouter API Error: ${response.status} ${errText}`);
   }
 
-  const data = await response.json();
-  console.log('API response received for composite outfit generation');
+  return [
+    ...new Set(
+      matches
+        .sort((a, b) => a.index - b.index)
+        .map((match) => match.reference)
+    ),
+  ];
+}
 
-  // Step 6: Parse response to get the generated outfit image
-  try {
-    const contentStr = data.choices[0].message.content;
-    console.log('Raw API response:', contentStr);
+/**
+ * Shortens model text for quoting in error messages
+ * @param {string} text - Model text output
+ * @returns {string} - Single-line text, truncated with an ellipsis
+ */
+function quoteResponseText(text) {
+  const singleLine = text.replace(/\s+/g, ' ').trim();
+  return singleLine.length > MAX_QUOTED_RESPONSE_LENGTH
+    ? `${singleLine.slice(0, MAX_QUOTED_RESPONSE_LENGTH)}...`
+    : singleLine;
+}
 
-    // Check if there are generated images in the response
-    if (
-      data.choices[0].message.images &&
-      data.choices[0].message.images.length > 0
-    ) {
-      const generatedImage = data.choices[0].message.images[0];
-      console.log('Found generated outfit image:', generatedImage);
-
-      if (generatedImage.image_url && generatedImage.image_url.url) {
-        const imageUrl = generatedImage.image_url.url;
-
-        // If it's a base64 image, return it directly
-        if (imageUrl.startsWith('data:')) {
-          console.log('Using base64 generated outfit image');
-          return imageUrl;
-        } else if (imageUrl.startsWith('http')) {
-          return await convertUrlToBase64(imageUrl);
-        }
+/**
+ * Extracts and validates the generated image from a parsed provider response
+ * Tries the explicit images first, then data URLs, markdown image links and image file links in the text
+ * @param {{images?: Array<string>, text?: string, reason?: string}} response - Image URLs or data URLs the backend returned, the model's text (or refusal) and an optional finish/block reason
+ * @param {{providerName: string, signal?: AbortSignal}} options - Provider name for error messages and a signal for downloads
+ * @returns {Promise<string>} - Base64 data URL of the first valid image
+ * @throws {ProviderError} - With kind 'no_image' when no valid image was found, quoting the model's text
+ */
+async function parseImageResponse(response, { providerName, signal } = {}) {
+  const { images = [], text = '', reason = '' } = response;
+  const references = [...images.filter(Boolean), ...findImageReferences(text)];
+  const rejected = [];
+
+  for (const reference of references) {
+    try {
+      const dataUrl = reference.startsWith('data:')
+        ? reference
+        : await convertUrlToBase64(reference, signal);
+      const image = validateImageDataUrl(dataUrl);
+      console.log(
+        `${providerName} returned a ${image.mimeType} image` +
+          (image.width ? ` (${image.width}x${image.height})` : '')
+      );
+      return image.dataUrl;
+    } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
       }
+      const label = reference.startsWith('data:')
+        ? 'inline image'
+        : reference;
+      console.warn(`Rejected ${providerName} image ${label}:`, error.message);
+      rejected.push(`${label}: ${error.message}`);
     }
+  }
 
-    // If no images found, check text content for URLs
-    const urlRegex = /https?:\/\/[^\s]+/g;
-    const urls = contentStr.match(urlRegex);
+  console.log(`Raw ${providerName} response:`, text);
 
-    if (urls && urls.length > 0) {
-      const imageUrl = urls[0];
-      console.log('Found outfit image URL in text response:', imageUrl);
-      return await convertUrlToBase64(imageUrl);
-    } else {
-      console.log('No outfit image found in response');
-      throw new Error('Failed to generate outfit image');
-    }
-  } catch (err) {
-    console.error('Error parsing outfit generation response:', err);
-    throw err;
+  const details = [];
+  if (rejected.length > 0) {
+    details.push(`invalid image (${rejected.join('; ')})`);
+  }
+  if (reason) {
+    details.push(`finish reason: ${reason}`);
   }
+  const suffix = details.length > 0 ? ` [${details.join(', ')}]` : '';
+
+  const message = text.trim()
+    ? `${providerName} returned text instead of an image: "${quoteResponseText(text)}"${suffix}`
+    : `${providerName} returned no image${suffix}`;
+  throw new ProviderError(message, { kind: 'no_image' });
 }
 
 /**
- * Extracts the actual product image from a product image URL using the API
- * This helps get high-quality, properly cropped product images for better outfit generation
- * @param {string} apiKey - User's OpenRouter API key
- * @param {string} productImageUrl - URL of the product image to extract
- * @param {string} productName - Name of the product for logging
- * @returns {Promise<string>} - Base64 data URL of the extracted product image
+ * Offscreen document that does canvas work for the service worker and content scripts
  */
-async function extractActualProductImage(apiKey, productImageUrl, productName) {
-  console.log(`Extracting actual product image from: ${productImageUrl}`);
+const OFFSCREEN_DOCUMENT_PATH = 'offscreen/offscreen.html';
 
-  // Check for cached image first
-  const cachedImage = await getCachedProductImage(productImageUrl);
-  if (cachedImage && cachedImage.image) {
-    console.log(`Using cached product image for: ${productImageUrl}`);
-    return cachedImage.image;
+let offscreenDocumentCreating = null;
+
+/**
+ * Creates the offscreen document unless it is already open
+ * Chrome allows a single offscreen document per extension, concurrent callers share one creation
+ * @returns {Promise<void>}
+ */
+async function ensureOffscreenDocument() {
+  const documentUrl = chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [documentUrl],
+  });
+  if (contexts.length > 0) {
+    return;
   }
 
-  // Convert the product image URL to base64
-  const productImageBase64 = await convertUrlToBase64(productImageUrl);
+  if (!offscreenDocumentCreating) {
+    offscreenDocumentCreating = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_DOCUMENT_PATH,
+        reasons: ['BLOBS'],
+        justification:
+          'Composite, resize and re-encode product and user photos for try-on',
+      })
+      .finally(() => {
+        offscreenDocumentCreating = null;
+      });
+  }
+  await offscreenDocumentCreating;
+}
 
-  // Build request to extract the actual product image
-  const request = {
-    model: 'google/gemini-2.5-flash-image-preview:free',
-    messages: [
-      {
-        role: 'system',
-        content: `
-***
+/**
+ * Runs an image task in the offscreen document
+ * @param {string} type - 'COMPOSITE_IMAGES' or 'RESIZE_IMAGE', see offscreen.js
+ * @param {Object} payload - Task arguments
+ * @returns {Promise<*>} - Task result
+ */
+async function runOffscreenTask(type, payload) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type,
+    ...payload,
+  });
+  if (!response || !response.success) {
+    throw new Error(
+      (response && response.error) || `Offscreen task ${type} failed`
+    );
+  }
+  return response.result;
+}
 
-## **INPUT ANALYSIS**
+/**
+ * Creates a composite grid image from multiple product images
+ * @param {Array<string>} imageUrls - Image URLs or base64 data URLs
+ * @param {{imagesPerRow?: number, cellSize?: number}} [options] - Grid layout
+ * @returns {Promise<string>} - Base64 PNG data URL of the composite image
+ */
+async function createCompositeImage(imageUrls, options = {}) {
+  return await runOffscreenTask('COMPOSITE_IMAGES', { imageUrls, options });
+}
+
+/**
+ * Longest image edge, in pixels, sent to providers unless configured otherwise
+ */
+const DEFAULT_IMAGE_MAX_EDGE = 1536;
+
+/**
+ * Quality used when re-encoding images as JPEG
+ */
+const NORMALIZED_JPEG_QUALITY = 0.9;
+
+/**
+ * Reads the configured maximum image edge
+ * @returns {Promise<number>} - Maximum edge in pixels
+ */
+async function getImageMaxEdge() {
+  const { imageMaxEdge } = await chrome.storage.local.get('imageMaxEdge');
+  return imageMaxEdge > 0 ? imageMaxEdge : DEFAULT_IMAGE_MAX_EDGE;
+}
+
+/**
+ * Whether a JPEG carries an EXIF block, which may hold a rotation the pixels don't reflect
+ * @param {Uint8Array} bytes - JPEG bytes
+ * @returns {boolean} - True when an APP1 Exif segment precedes the image data
+ */
+function hasExifSegment(bytes) {
+  let offset = 2;
+  while (offset + 10 < bytes.length && bytes[offset] === 0xff) {
+    const marker = bytes[offset + 1];
+    // Start of scan, only entropy-coded image data follows
+    if (marker === 0xda) {
+      return false;
+    }
+    if (
+      marker === 0xe1 &&
+      String.fromCharCode(...bytes.subarray(offset + 4, offset + 8)) === 'Exif'
+    ) {
+      return true;
+    }
+    offset += 2 + ((bytes[offset + 2] << 8) | bytes[offset + 3]);
+  }
+  return false;
+}
+
+/**
+ * Resizes an image to fit a maximum edge and re-encodes it as JPEG or PNG
+ * The offscreen document applies the EXIF orientation when decoding and re-encoding drops the EXIF block,
+ * so phone photos arrive upright and without camera metadata.
+ * PNG sources stay PNG to keep transparency, everything else (WebP, AVIF, GIF, JPEG) becomes JPEG.
+ * Small JPEGs and PNGs without EXIF are returned as-is so repeated calls don't degrade them
+ * @param {string} dataUrl - Base64 data URL of the source image
+ * @param {{maxEdge?: number}} [options] - Longest allowed edge in pixels
+ * @returns {Promise<string>} - Base64 data URL of the normalized image
+ */
+async function normalizeImage(
+  dataUrl,
+  { maxEdge = DEFAULT_IMAGE_MAX_EDGE } = {}
+) {
+  const { mimeType: declaredType, data } = splitDataUrl(dataUrl);
+  const bytes = Uint8Array.from(atob(data.replace(/\s/g, '')), (char) =>
+    char.charCodeAt(0)
+  );
+  const sourceType = detectImageMimeType(bytes) || declaredType;
+
+  const dimensions = readImageDimensions(bytes, sourceType);
+  const needsReencode =
+    !dimensions ||
+    Math.max(dimensions.width, dimensions.height) > maxEdge ||
+    !['image/jpeg', 'image/png'].includes(sourceType) ||
+    (sourceType === 'image/jpeg' && hasExifSegment(bytes));
+  if (!needsReencode) {
+    return `data:${sourceType};base64,${data}`;
+  }
+
+  const outputType = sourceType === 'image/png' ? 'image/png' : 'image/jpeg';
+  const resized = await runOffscreenTask('RESIZE_IMAGE', {
+    imageUrl: `data:${sourceType};base64,${data}`,
+    options: {
+      maxEdge,
+      mimeType: outputType,
+      quality: NORMALIZED_JPEG_QUALITY,
+    },
+  });
+  console.log(
+    `Normalized ${sourceType} ${resized.sourceWidth}x${resized.sourceHeight}`,
+    `to ${outputType} ${resized.width}x${resized.height}`
+  );
+  return resized.imageUrl;
+}
+
+/**
+ * Normalizes every image in a prompt before it is turned into a provider request
+ * Remote URLs are downloaded first so all providers receive the same normalized bytes
+ * @param {Object} prompt - Backend-agnostic prompt, see ImageProvider
+ * @param {{signal?: AbortSignal}} [options] - Aborts image downloads
+ * @returns {Promise<Object>} - Prompt with normalized image parts
+ */
+async function normalizePromptImages(prompt, { signal } = {}) {
+  const maxEdge = await getImageMaxEdge();
+  const parts = await Promise.all(
+    prompt.parts.map(async (part) => {
+      if (part.type !== 'image') {
+        return part;
+      }
+      const dataUrl = part.url.startsWith('data:')
+        ? part.url
+        : await convertUrlToBase64(part.url, signal);
+      try {
+        return { ...part, url: await normalizeImage(dataUrl, { maxEdge }) };
+      } catch (error) {
+        // Let the provider judge images the browser can't decode
+        console.warn('Failed to normalize prompt image:', error);
+        return { ...part, url: dataUrl };
+      }
+    })
+  );
+  return { ...prompt, parts };
+}
+
+/**
+ * Base class for image generation providers
+ * A provider turns a backend-agnostic prompt into a request, calls its backend and parses the generated image out of the response
+ *
+ * Prompts have the shape:
+ * {
+ *   system: string,                      // System instructions
+ *   parts: Array<                        // User content, in order
+ *     { type: 'text', text: string } |
+ *     { type: 'image', url: string, label?: string }
+ *   >,
+ *   model?: string,                      // Overrides the provider's default model
+ *   temperature?: number,
+ *   stage?: string,                      // 'extraction' or 'composition', for usage tracking
+ *   promptVersion?: string,              // Template version, see getPromptTemplate()
+ * }
+ */
+class ImageProvider {
+  /**
+   * @param {Object} config - Provider settings (API key, model, ...)
+   */
+  constructor(config = {}) {
+    this.config = config;
+    this.name = 'Image Provider';
+    // Dedicated try-on providers compose garments with tryOn() instead of prompts
+    this.supportsTryOn = false;
+  }
+
+  /**
+   * Builds the backend-specific request body for a prompt
+   * @param {Object} prompt - Backend-agnostic prompt
+   * @returns {Object} - Request body
+   */
+  buildRequest(prompt) {
+    throw new Error(`${this.name} does not implement buildRequest()`);
+  }
+
+  /**
+   * Sends a request to the backend
+   * @param {Object} request - Request body built by buildRequest()
+   * @param {{signal?: AbortSignal}} [options] - Call options
+   * @returns {Promise<Object>} - Raw backend response
+   */
+  async call(request, options = {}) {
+    throw new Error(`${this.name} does not implement call()`);
+  }
+
+  /**
+   * Extracts the generated image from a backend response
+   * Implementations normally collect the response's images and text and hand them to parseImageResponse()
+   * @param {Object} data - Raw backend response
+   * @param {{signal?: AbortSignal}} [options] - Call options
+   * @returns {Promise<string>} - Base64 data URL of the generated image
+   */
+  async parseImage(data, options = {}) {
+    throw new Error(`${this.name} does not implement parseImage()`);
+  }
+
+  /**
+   * Reads token usage and cost reported by the backend
+   * @param {Object} data - Raw backend response
+   * @returns {{promptTokens: number, completionTokens: number, totalTokens: number, cost?: number}|null} - Usage, or null when not reported
+   */
+  extractUsage(data) {
+    return null;
+  }
+
+  /**
+   * Runs a prompt end-to-end and returns the generated image
+   * @param {Object} prompt - Backend-agnostic prompt
+   * @param {{signal?: AbortSignal}} [options] - Call options
+   * @returns {Promise<string>} - Base64 data URL of the generated image
+   */
+  async generateImage(prompt, options = {}) {
+    const request = this.buildRequest(
+      await normalizePromptImages(prompt, options)
+    );
+    const data = await this.call(request, options);
+
+    // Record usage before parsing, tokens are spent even when no image comes back
+    const usage = this.extractUsage(data);
+    if (usage) {
+      await recordUsage({
+        provider: this.name,
+        model: prompt.model || this.model,
+        stage: prompt.stage,
+        promptVersion: prompt.promptVersion,
+        ...usage,
+      });
+    }
+
+    return await this.parseImage(data, options);
+  }
+
+  /**
+   * Dresses a person image in a single garment using a dedicated try-on model
+   * @param {{personImage: string, garmentImage: string, garmentName: string}} tryOnRequest - Base64 data URL images and garment description
+   * @param {{signal?: AbortSignal}} [options] - Call options
+   * @returns {Promise<string>} - Base64 data URL of the composed image
+   */
+  async tryOn(tryOnRequest, options = {}) {
+    throw new Error(`${this.name} does not support dedicated try-on models`);
+  }
+}
+
+/**
+ * Page that asks the user for host access to configured endpoints
+ */
+const PERMISSIONS_PAGE_PATH = 'permissions/permissions.html';
+
+/**
+ * Builds the host permission pattern for an endpoint URL
+ * Match patterns can't carry a port, so the pattern covers every port on the host
+ * @param {string} url - Endpoint URL
+ * @returns {string|null} - Origin pattern, or null for an invalid URL
+ */
+function toOriginPattern(url) {
+  try {
+    const { protocol, hostname } = new URL(url);
+    return ['http:', 'https:'].includes(protocol)
+      ? `${protocol}//${hostname}/*`
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Makes sure the extension may call user-configured endpoints without relying on CORS
+ * Missing origins are requested from a small extension window, since permission
+ * prompts need a user gesture the service worker can't provide. A window that is
+ * still open from an earlier save is reused rather than opening another one
+ * @param {Array<string>} urls - Endpoint URLs
+ * @returns {Promise<Array<string>>} - Origin patterns still awaiting the user's approval
+ */
+async function ensureHostPermissions(urls) {
+  const missing = [];
+  for (const origin of new Set(urls.map(toOriginPattern).filter(Boolean))) {
+    if (!(await chrome.permissions.contains({ origins: [origin] }))) {
+      missing.push(origin);
+    }
+  }
+
+  if (missing.length > 0) {
+    const query = missing
+      .map((origin) => `origin=${encodeURIComponent(origin)}`)
+      .join('&');
+    const pageUrl = chrome.runtime.getURL(PERMISSIONS_PAGE_PATH);
+    const url = `${pageUrl}?${query}`;
+
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ['TAB'],
+    });
+    const open = contexts.find((context) =>
+      context.documentUrl.startsWith(pageUrl)
+    );
+    if (open) {
+      await chrome.tabs.update(open.tabId, { url });
+      await chrome.windows.update(open.windowId, { focused: true });
+    } else {
+      await chrome.windows.create({
+        url,
+        type: 'popup',
+        width: 460,
+        height: 280,
+      });
+    }
+  }
+  return missing;
+}
+
+/**
+ * Provider for any OpenAI-compatible chat-completions server
+ * (self-hosted gateways, vLLM, LiteLLM proxies, ComfyUI bridges, ...)
+ */
+class OpenAICompatibleProvider extends ImageProvider {
+  static storageKeys = {
+    baseUrl: 'customBaseUrl',
+    authHeader: 'customAuthHeader',
+    apiKey: 'customApiKey',
+    model: 'customModel',
+  };
+
+  constructor(config = {}) {
+    super(config);
+    this.name = 'OpenAI-compatible endpoint';
+
+    if (!config.baseUrl) {
+      throw new Error(
+        'Endpoint base URL not found. Please configure the extension first.'
+      );
+    }
+    if (!config.model) {
+      throw new Error(
+        'Endpoint model name not found. Please configure the extension first.'
+      );
+    }
+
+    this.endpoint = `${config.baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    this.model = config.model;
+  }
+
+  /**
+   * Builds the auth header for the configured server
+   * `Authorization` gets a Bearer token, any other header name gets the raw key
+   * @returns {Object} - Header map, empty when no key is configured
+   */
+  getAuthHeaders() {
+    if (!this.config.apiKey) {
+      return {};
+    }
+
+    const headerName = this.config.authHeader || 'Authorization';
+    const headerValue =
+      headerName.toLowerCase() === 'authorization'
+        ? `Bearer ${this.config.apiKey}`
+        : this.config.apiKey;
+    return { [headerName]: headerValue };
+  }
+
+  buildRequest(prompt) {
+    const content = prompt.parts.map((part) => {
+      if (part.type === 'image') {
+        const imagePart = {
+          type: 'image_url',
+          image_url: {
+            url: part.url,
+            // Use 'high_res' for better detail during segmentation and compositing
+            detail: 'high_res',
+          },
+        };
+        if (part.label) {
+          imagePart.text = part.label;
+        }
+        return imagePart;
+      }
+      return { type: 'text', text: part.text };
+    });
+
+    return {
+      model: prompt.model || this.model,
+      messages: [
+        { role: 'system', content: prompt.system },
+        { role: 'user', content },
+      ],
+      temperature: prompt.temperature ?? 0.2,
+    };
+  }
+
+  async call(request, { signal } = {}) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        ...this.getAuthHeaders(),
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(request),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errText = await response.text();
+      throw createProviderError(
+        this.name,
+        response.status,
+        errText,
+        response.headers
+      );
+    }
+
+    const data = await response.json();
+
+    // OpenRouter reports upstream failures (e.g. provider rate limits) inside a 200 response
+    if (data.error) {
+      throw createProviderError(
+        this.name,
+        Number(data.error.code) || 500,
+        data.error.message || JSON.stringify(data.error),
+        response.headers
+      );
+    }
+
+    return data;
+  }
+
+  extractUsage(data) {
+    if (!data.usage) {
+      return null;
+    }
+    return {
+      promptTokens: data.usage.prompt_tokens || 0,
+      completionTokens: data.usage.completion_tokens || 0,
+      totalTokens: data.usage.total_tokens || 0,
+      cost: Number.isFinite(data.usage.cost) ? data.usage.cost : undefined,
+    };
+  }
+
+  async parseImage(data, { signal } = {}) {
+    const choice = (data.choices && data.choices[0]) || {};
+    const message = choice.message || {};
+    const images = (message.images || []).map(
+      (image) => image.image_url && image.image_url.url
+    );
+
+    // Some backends return content as an array of text and image parts
+    let text = '';
+    if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === 'image_url' && part.image_url) {
+          images.push(part.image_url.url);
+        } else if (part.text) {
+          text += `${part.text}\n`;
+        }
+      }
+    } else {
+      text = message.content || '';
+    }
+
+    return await parseImageResponse(
+      {
+        images,
+        text: message.refusal || text,
+        reason: choice.finish_reason === 'stop' ? '' : choice.finish_reason,
+      },
+      { providerName: this.name, signal }
+    );
+  }
+}
+
+/**
+ * OpenRouter chat-completions provider
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  static storageKeys = { apiKey: 'openRouterApiKey' };
+
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error(
+        'API key not found. Please configure the extension first.'
+      );
+    }
+
+    super({
+      ...config,
+      baseUrl: 'https://openrouter.ai/api/v1',
+      authHeader: 'Authorization',
+      model: config.model || 'google/gemini-2.5-flash-image-preview:free',
+    });
+    this.name = 'OpenRouter';
+  }
+
+  buildRequest(prompt) {
+    // Ask OpenRouter to include the billed cost in the usage block
+    return { ...super.buildRequest(prompt), usage: { include: true } };
+  }
+}
+
+/**
+ * Splits a base64 data URL into its MIME type and payload
+ * @param {string} dataUrl - Base64 data URL
+ * @returns {{mimeType: string, data: string}} - MIME type and base64 payload
+ */
+function splitDataUrl(dataUrl) {
+  const match = /^data:([^;,]+)?(?:;[^,]*)?;base64,(.*)$/s.exec(dataUrl || '');
+  if (!match) {
+    throw new Error('Expected a base64 data URL image');
+  }
+  return { mimeType: match[1] || 'image/jpeg', data: match[2] };
+}
+
+/**
+ * Google Gemini provider talking to the Generative Language API through the @google/genai SDK
+ */
+class GeminiProvider extends ImageProvider {
+  static storageKeys = { apiKey: 'geminiApiKey' };
+
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Google Gemini';
+    this.model = config.model || 'gemini-2.5-flash-image-preview';
+
+    if (!config.apiKey) {
+      throw new Error(
+        'Gemini API key not found. Please configure the extension first.'
+      );
+    }
+
+    this.client = new genai.GoogleGenAI({ apiKey: config.apiKey });
+  }
+
+  buildRequest(prompt) {
+    const parts = [];
+    prompt.parts.forEach((part) => {
+      if (part.type === 'image') {
+        // Gemini has no per-image caption, so send the label as text right before the image
+        if (part.label) {
+          parts.push({ text: part.label });
+        }
+        const { mimeType, data } = splitDataUrl(part.url);
+        parts.push({ inlineData: { mimeType, data } });
+      } else {
+        parts.push({ text: part.text });
+      }
+    });
+
+    return {
+      model: prompt.model || this.model,
+      contents: [{ role: 'user', parts }],
+      config: {
+        systemInstruction: prompt.system,
+        temperature: prompt.temperature ?? 0.2,
+        responseModalities: ['TEXT', 'IMAGE'],
+      },
+    };
+  }
+
+  async call(request, { signal } = {}) {
+    try {
+      // The SDK's own retries are off by default, withRetry() handles them
+      return await this.client.models.generateContent({
+        ...request,
+        config: { ...request.config, abortSignal: signal },
+      });
+    } catch (error) {
+      if (error instanceof genai.ApiError) {
+        // The error body carries Gemini's retryDelay, see parseRetryAfter()
+        throw createProviderError(this.name, error.status, error.message);
+      }
+      throw error;
+    }
+  }
+
+  extractUsage(data) {
+    const usage = data.usageMetadata;
+    if (!usage) {
+      return null;
+    }
+    return {
+      promptTokens: usage.promptTokenCount || 0,
+      completionTokens: usage.candidatesTokenCount || 0,
+      totalTokens: usage.totalTokenCount || 0,
+    };
+  }
+
+  async parseImage(data, { signal } = {}) {
+    if (data.promptFeedback && data.promptFeedback.blockReason) {
+      throw new ProviderError(
+        `${this.name} blocked the request: ${data.promptFeedback.blockReason}`,
+        { kind: 'no_image' }
+      );
+    }
+
+    const candidate = data.candidates && data.candidates[0];
+    const parts =
+      (candidate && candidate.content && candidate.content.parts) || [];
+
+    const images = parts
+      .map((part) => part.inlineData || part.inline_data)
+      .filter((inlineData) => inlineData && inlineData.data)
+      .map((inlineData) => {
+        const mimeType =
+          inlineData.mimeType || inlineData.mime_type || 'image/png';
+        return `data:${mimeType};base64,${inlineData.data}`;
+      });
+
+    const text = parts
+      .filter((part) => part.text)
+      .map((part) => part.text)
+      .join('\n');
+
+    const finishReason = candidate && candidate.finishReason;
+    return await parseImageResponse(
+      {
+        images,
+        text,
+        reason: finishReason === 'STOP' ? '' : finishReason,
+      },
+      { providerName: this.name, signal }
+    );
+  }
+}
+
+/**
+ * Hugging Face provider for dedicated virtual try-on (VTON) models, called with fetch
+ * since @huggingface/inference only wraps the standard tasks and has no try-on one
+ *
+ * The serverless HF Inference API hosts no try-on task, so the user must point this at
+ * their own deployment (an Inference Endpoint or a Space with a REST handler) that accepts:
+ *   POST <endpoint>  Authorization: Bearer <token>
+ *   { inputs: { person_image: <base64>, garment_image: <base64>, garment_description: string } }
+ * and answers with raw image bytes (image/* content type) or JSON
+ * { image: <base64 or data/http URL> } (also accepted: generated_image, or an array of either)
+ */
+class HuggingFaceTryOnProvider extends ImageProvider {
+  static storageKeys = {
+    apiKey: 'huggingFaceApiKey',
+    model: 'huggingFaceModel',
+    endpointUrl: 'huggingFaceEndpoint',
+  };
+
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Hugging Face';
+    this.supportsTryOn = true;
+    // Only a label for usage tracking, the endpoint decides which model runs
+    this.model = config.model || 'try-on';
+    this.endpoint = config.endpointUrl;
+
+    if (!this.endpoint) {
+      throw new Error(
+        'Hugging Face try-on endpoint URL not found. Please configure the extension first.'
+      );
+    }
+    if (!config.apiKey) {
+      throw new Error(
+        'Hugging Face access token not found. Please configure the extension first.'
+      );
+    }
+  }
+
+  buildRequest(prompt) {
+    throw new Error(
+      `${this.name} try-on models do not support prompt-based generation`
+    );
+  }
+
+  /**
+   * Builds the request body for a try-on model
+   * @param {{personImage: string, garmentImage: string, garmentName: string}} tryOnRequest - Try-on inputs
+   * @returns {Object} - Request body
+   */
+  buildTryOnRequest(tryOnRequest) {
+    return {
+      inputs: {
+        person_image: splitDataUrl(tryOnRequest.personImage).data,
+        garment_image: splitDataUrl(tryOnRequest.garmentImage).data,
+        garment_description: tryOnRequest.garmentName,
+      },
+    };
+  }
+
+  async call(request, { signal } = {}) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${this.config.apiKey}`,
+        'Content-Type': 'application/json',
+        // Wait for cold models to load instead of failing with 503
+        'x-wait-for-model': 'true',
+      },
+      body: JSON.stringify(request),
+      signal,
+    });
+
+    if (!response.ok) {
+      const errText = await response.text();
+      throw createProviderError(
+        this.name,
+        response.status,
+        errText,
+        response.headers
+      );
+    }
+
+    // Try-on models answer either with raw image bytes or with JSON wrapping a base64 image
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType.startsWith('image/')) {
+      return { blob: await response.blob() };
+    }
+    return await response.json();
+  }
+
+  async parseImage(data, { signal } = {}) {
+    if (data.blob) {
+      return await parseImageResponse(
+        { images: [await blobToDataUrl(data.blob)] },
+        { providerName: this.name, signal }
+      );
+    }
+
+    const output = Array.isArray(data) ? data[0] : data;
+    const image = output && (output.image || output.generated_image);
+    const images = [];
+    if (typeof image === 'string') {
+      // Bare base64 payloads get a placeholder type, validation detects the real one
+      images.push(
+        image.startsWith('data:') || image.startsWith('http')
+          ? image
+          : `data:image/png;base64,${image}`
+      );
+    }
+
+    return await parseImageResponse(
+      { images, text: (output && (output.error || output.message)) || '' },
+      { providerName: this.name, signal }
+    );
+  }
+
+  async tryOn(tryOnRequest, options = {}) {
+    const maxEdge = await getImageMaxEdge();
+    const request = this.buildTryOnRequest({
+      ...tryOnRequest,
+      personImage: await normalizeImage(tryOnRequest.personImage, { maxEdge }),
+      garmentImage: await normalizeImage(tryOnRequest.garmentImage, {
+        maxEdge,
+      }),
+    });
+    const data = await this.call(request, options);
+    return await this.parseImage(data, options);
+  }
+}
+
+/**
+ * Reads a blob into a base64 data URL
+ * @param {Blob} blob - Image blob
+ * @returns {Promise<string>} - Base64 data URL
+ */
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onloadend = () => resolve(reader.result);
+    reader.onerror = (e) => reject(e);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Deterministic offline provider for demos, UI development and automated tests
+ * Returns the first prompt image with every other prompt image overlaid as a thumbnail
+ * and a "MOCK" badge, without any network calls or API credits
+ */
+class MockImageProvider extends ImageProvider {
+  static storageKeys = {};
+
+  constructor(config = {}) {
+    super(config);
+    this.name = 'Mock';
+  }
+
+  buildRequest(prompt) {
+    return {
+      images: prompt.parts
+        .filter((part) => part.type === 'image')
+        .map((part) => part.url),
+    };
+  }
+
+  async call(request, { signal } = {}) {
+    const [baseUrl, ...overlayUrls] = request.images;
+    if (!baseUrl) {
+      throw new Error(`${this.name} provider needs at least one image`);
+    }
+
+    const base = await createImageBitmap(
+      await (await fetch(baseUrl, { signal })).blob()
+    );
+    const canvas = new OffscreenCanvas(base.width, base.height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(base, 0, 0);
+
+    // Stack garment thumbnails down the right edge, scaled to fit their cell
+    const thumbSize = Math.round(Math.min(base.width, base.height) / 4);
+    const margin = Math.round(thumbSize / 10);
+    for (let i = 0; i < overlayUrls.length; i++) {
+      const thumb = await createImageBitmap(
+        await (await fetch(overlayUrls[i], { signal })).blob()
+      );
+      const x = base.width - thumbSize - margin;
+      const y = margin + i * (thumbSize + margin);
+      const scale = Math.min(thumbSize / thumb.width, thumbSize / thumb.height);
+      const width = thumb.width * scale;
+      const height = thumb.height * scale;
+
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+      ctx.fillRect(x, y, thumbSize, thumbSize);
+      ctx.drawImage(
+        thumb,
+        x + (thumbSize - width) / 2,
+        y + (thumbSize - height) / 2,
+        width,
+        height
+      );
+    }
+
+    // Badge so mock output is never mistaken for a real render
+    const fontSize = Math.max(12, Math.round(base.width / 20));
+    ctx.font = `bold ${fontSize}px Arial`;
+    ctx.fillStyle = 'rgba(118, 75, 162, 0.85)';
+    ctx.fillRect(0, 0, fontSize * 4, fontSize * 1.6);
+    ctx.fillStyle = '#fff';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('MOCK', fontSize * 0.5, fontSize * 0.8);
+
+    const blob = await canvas.convertToBlob({ type: 'image/png' });
+    return { image: await blobToDataUrl(blob) };
+  }
+
+  async parseImage(data) {
+    return data.image;
+  }
+
+  /**
+   * Mock calls are free, but still go through the usage log like real ones
+   */
+  extractUsage(data) {
+    return { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+  }
+}
+
+/**
+ * Registry of available image providers, keyed by the id stored in settings
+ */
+const IMAGE_PROVIDERS = {
+  openrouter: OpenRouterProvider,
+  gemini: GeminiProvider,
+  huggingface: HuggingFaceTryOnProvider,
+  custom: OpenAICompatibleProvider,
+  mock: MockImageProvider,
+};
+
+const DEFAULT_IMAGE_PROVIDER = 'openrouter';
+
+/**
+ * Creates the image provider selected in settings
+ * @param {Object} config - Provider settings, `provider` selects the implementation
+ * @returns {ImageProvider} - Configured provider instance
+ */
+function createImageProvider(config) {
+  const providerId = config.provider || DEFAULT_IMAGE_PROVIDER;
+  const Provider = IMAGE_PROVIDERS[providerId];
+  if (!Provider) {
+    throw new Error(`Unknown image provider: ${providerId}`);
+  }
+  return new Provider(config);
+}
+
+/**
+ * Loads the stored settings of an image provider
+ * Each provider declares the storage keys it reads in its static `storageKeys` map
+ * @param {string} providerId - Id of the provider in IMAGE_PROVIDERS
+ * @returns {Promise<Object>} - Provider config ready for createImageProvider()
+ */
+async function loadProviderConfig(providerId) {
+  const Provider = IMAGE_PROVIDERS[providerId];
+  if (!Provider) {
+    throw new Error(`Unknown image provider: ${providerId}`);
+  }
+
+  const storageKeys = Provider.storageKeys || {};
+  const result = await chrome.storage.local.get(Object.values(storageKeys));
+
+  const config = { provider: providerId };
+  for (const [field, storageKey] of Object.entries(storageKeys)) {
+    config[field] = result[storageKey];
+  }
+  return config;
+}
+
+const DEFAULT_STAGE_TEMPERATURE = 0.2;
+
+/**
+ * Picks the stage settings saved for one provider
+ * Model ids are provider-specific, so settings are stored per provider id. The
+ * older flat shape ({extraction, composition}) was only used with OpenRouter.
+ * @param {Object} stageSettings - Stored stageSettings value
+ * @param {string} providerId - Id of the provider in IMAGE_PROVIDERS
+ * @returns {{extraction?: Object, composition?: Object}} - Stage settings
+ */
+function getProviderStageSettings(stageSettings = {}, providerId) {
+  if (stageSettings.extraction || stageSettings.composition) {
+    return providerId === 'openrouter' ? stageSettings : {};
+  }
+  return stageSettings[providerId] || {};
+}
+
+/**
+ * Converts stage settings into prompt overrides
+ * @param {{model?: string, temperature?: number}} [stage] - Stage settings
+ * @returns {{model?: string, temperature: number}} - Prompt fields
+ */
+function getStagePromptOptions(stage = {}) {
+  const options = {
+    // Low temperature by default for consistent extraction and compositing
+    temperature: Number.isFinite(stage.temperature)
+      ? stage.temperature
+      : DEFAULT_STAGE_TEMPERATURE,
+  };
+  if (stage.model) {
+    options.model = stage.model;
+  }
+  return options;
+}
+
+/**
+ * Fetches OpenRouter's model listing filtered to models that can output images
+ * @returns {Promise<Array<{id: string, name: string, pricing: Object}>>} - Image-capable models
+ */
+async function listImageModels() {
+  const response = await fetch('https://openrouter.ai/api/v1/models');
+  if (!response.ok) {
+    throw new Error(`Failed to load models: ${response.status}`);
+  }
+
+  const { data } = await response.json();
+  return data
+    .filter(
+      (model) =>
+        model.architecture &&
+        Array.isArray(model.architecture.output_modalities) &&
+        model.architecture.output_modalities.includes('image')
+    )
+    .map((model) => ({
+      id: model.id,
+      name: model.name,
+      pricing: model.pricing,
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Image-capable models, cached for the lifetime of the service worker
+let imageModelsCache = null;
+
+/**
+ * Get image-capable models, loading them once per service worker lifetime
+ * @returns {Promise<Array<{id: string, name: string, pricing: Object}>>} - Image-capable models
+ */
+async function getImageModels() {
+  if (!imageModelsCache) {
+    imageModelsCache = await listImageModels();
+  }
+  return imageModelsCache;
+}
+
+/**
+ * Oldest timestamp kept in the usage log: the start of the previous month
+ * Pruning by age rather than count keeps the monthly totals complete however many calls are made
+ * @param {Date} [now] - Current time
+ * @returns {number} - Timestamp in milliseconds
+ */
+function getUsageRetentionStart(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth() - 1, 1).getTime();
+}
+
+/**
+ * Estimates the cost of a call from OpenRouter's per-token pricing
+ * Direct Gemini models are matched against their `google/` OpenRouter listing
+ * @param {string} model - Model id
+ * @param {{promptTokens: number, completionTokens: number}} usage - Token usage
+ * @returns {Promise<number|null>} - Estimated cost in USD, or null when pricing is unknown
+ */
+async function estimateCost(model, usage) {
+  try {
+    const models = await getImageModels();
+    const listing = models.find(
+      (m) => m.id === model || m.id === `google/${model}`
+    );
+    if (!listing || !listing.pricing) {
+      return null;
+    }
+    return (
+      Number(listing.pricing.prompt || 0) * usage.promptTokens +
+      Number(listing.pricing.completion || 0) * usage.completionTokens
+    );
+  } catch (error) {
+    console.warn('Could not estimate cost:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Pending usage log write; writes are chained so concurrent model calls never
+ * overwrite each other's entries
+ */
+let usageWriteChain = Promise.resolve();
+
+/**
+ * Records token usage and cost of a model call in local storage
+ * @param {Object} entry - Provider, model, stage, prompt version and token counts; `cost` when the backend reports it
+ */
+async function recordUsage(entry) {
+  try {
+    let cost = entry.cost;
+    let estimated = false;
+    if (!Number.isFinite(cost)) {
+      cost = await estimateCost(entry.model, entry);
+      estimated = true;
+    }
+
+    const write = usageWriteChain.then(async () => {
+      const { usageLog = [] } = await chrome.storage.local.get(['usageLog']);
+      usageLog.push({
+        ...entry,
+        cost: cost || 0,
+        estimated,
+        timestamp: Date.now(),
+      });
+
+      // Keep the log bounded, entries before the previous month are no longer reported
+      const retentionStart = getUsageRetentionStart();
+      await chrome.storage.local.set({
+        usageLog: usageLog.filter((item) => item.timestamp >= retentionStart),
+      });
+    });
+    usageWriteChain = write.catch(() => {});
+    await write;
+    console.log(
+      `Recorded usage: ${entry.totalTokens} tokens, $${(cost || 0).toFixed(4)}`
+    );
+  } catch (error) {
+    console.error('Error recording usage:', error);
+  }
+}
+
+/**
+ * Summarises recorded usage for today and the current month
+ * @returns {Promise<Object>} - Calls, tokens and cost per period plus the configured budgets
+ */
+async function getUsageSummary() {
+  const {
+    usageLog = [],
+    dailyBudget,
+    monthlyBudget,
+    budgetMode,
+  } = await chrome.storage.local.get([
+    'usageLog',
+    'dailyBudget',
+    'monthlyBudget',
+    'budgetMode',
+  ]);
+
+  const now = new Date();
+  const startOfDay = new Date(
+    now.getFullYear(),
+    now.getMonth(),
+    now.getDate()
+  ).getTime();
+  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+
+  const summarise = (since) => {
+    const entries = usageLog.filter((entry) => entry.timestamp >= since);
+    return {
+      calls: entries.length,
+      tokens: entries.reduce(
+        (sum, entry) => sum + (entry.totalTokens || 0),
+        0
+      ),
+      cost: entries.reduce((sum, entry) => sum + (entry.cost || 0), 0),
+    };
+  };
+
+  return {
+    today: summarise(startOfDay),
+    month: summarise(startOfMonth),
+    dailyBudget: Number.isFinite(dailyBudget) ? dailyBudget : null,
+    monthlyBudget: Number.isFinite(monthlyBudget) ? monthlyBudget : null,
+    budgetMode: budgetMode || 'warn',
+  };
+}
+
+/**
+ * Checks recorded spend against the user's daily and monthly budgets
+ * @returns {Promise<{exceeded: boolean, mode: string, message?: string}>} - Budget status
+ */
+async function checkBudget() {
+  const summary = await getUsageSummary();
+  const result = { exceeded: false, mode: summary.budgetMode };
+
+  if (
+    summary.dailyBudget !== null &&
+    summary.today.cost >= summary.dailyBudget
+  ) {
+    result.exceeded = true;
+    result.message = `Daily budget of $${summary.dailyBudget.toFixed(
+      2
+    )} reached ($${summary.today.cost.toFixed(4)} spent today).`;
+  } else if (
+    summary.monthlyBudget !== null &&
+    summary.month.cost >= summary.monthlyBudget
+  ) {
+    result.exceeded = true;
+    result.message = `Monthly budget of $${summary.monthlyBudget.toFixed(
+      2
+    )} reached ($${summary.month.cost.toFixed(4)} spent this month).`;
+  }
+
+  return result;
+}
+
+/**
+ * Versioned prompt templates, one per generation step
+ * `{{name}}` placeholders are filled by renderPromptTemplate(); bump `version` whenever
+ * a template changes so results and usage entries can be compared across versions.
+ * Users can override templates from settings, see getPromptTemplate()
+ */
+const PROMPT_TEMPLATES = {
+  extraction: {
+    version: 1,
+    description: 'Isolates a product from its (collage) product image',
+    variables: ['productName', 'categoryLabel', 'categoryExtraction'],
+    system: `
+***
+
+## **INPUT ANALYSIS**
+
+* **Source:** The input is a composite image (collage) containing multiple sub-images.
+* **Content:** These sub-images display a single apparel product ({{categoryLabel}}) worn by a model from various angles and in different settings.
+* **Primary Asset:** Your first task is to correctly identify this central {{categoryLabel}} as the target for extraction.
+
+## **CORE EXECUTION WORKFLOW**
+
+### **View Identification & Selection**
+
+* Scan all sub-images within the collage.
+* Identify the **clearest, most complete, and front-facing view** of the {{categoryLabel}}. This will be the source for your "Front View" asset.
+
+### **Synthesis and Extraction**
+
+* **For the Front View:**
+    * Meticulously segment the selected front view of the {{categoryLabel}} from the model and its background.
+    * Create a precise, clean-edged alpha mask around the {{categoryLabel}}'s entire silhouette.
+    * {{categoryExtraction}}
+    * The resulting image should appear as if the {{categoryLabel}} is laid perfectly flat or on an invisible "ghost" mannequin.
+
+### **Integrity Preservation (CRITICAL)**
+
+* The visual characteristics of the {{categoryLabel}} **must not be altered**.
+* Preserve the original color, texture, material, drape, and internal shadows.
+* Ensure all graphics, prints, embroidery and logos are retained with perfect fidelity.
+
+## **FINAL OUTPUT SPECIFICATIONS**
+
+* **Deliverables:** You will generate **one single image** of the product.
+    * A standalone image of the product's **front perspective**.
+* **Format:** The image must be a high-resolution **PNG file**.
+* **Background:** The background for the image must be **100% transparent** (full alpha channel).
+* **Canvas & Cropping:** Auto-crop the canvas of the final image to the bounding box of the {{categoryLabel}}, leaving only minimal transparent padding.
+* **Exclusions:** The final asset must be completely free of any original background, models, people, props, or text that is not part of the product's design.
+`,
+    user: `
+Your task is to extract the specified product from the provided image.
+
+**Product to Extract:** {{productName}} ({{categoryLabel}})
+
+**Instructions:**
+1.  **Select View:** Analyze the image and identify the clearest, most complete, **front-facing view** of the product.
+2.  **Isolate:** Meticulously segment this single view of the product from the model, background, and any other elements.
+3.  **Output:** Generate one single image of the isolated product on a **100% transparent background**. The final image must be a clean PNG, tightly cropped around the product.
+`,
+  },
+  composition: {
+    version: 2,
+    description: 'Puts all products on the person in a single call',
+    variables: ['items', 'instructions'],
+    system: `
+***
+
+## **ROLE**
+You are an expert **Photorealistic Virtual Try-On Compositor** and **Digital Apparel Stylist**, specializing in creating hyper-realistic fashion imagery for e-commerce and marketing.
+
+## **OBJECTIVE**
+To seamlessly and authentically integrate MULTIPLE apparel items onto a base model image simultaneously, resulting in a high-fidelity, production-ready photograph of a complete outfit that is indistinguishable from real photography.
+
+## **INPUTS**
+* **Base Model Image:** A photograph of a human model in a specific pose and environment. This image defines the scene, lighting, and model's physical attributes.
+* **Individual Apparel Images:** Multiple separate images, each containing one apparel item to be integrated, perfectly segmented and presented as if laid flat or on a "ghost" mannequin. Each image defines the exact appearance of its respective garment.
+
+## **CORE EXECUTION WORKFLOW**
+
+### **Multi-Item Integration (CRITICAL REALISM):**
+* **Simultaneous Integration:** Integrate ALL apparel items at once, not one by one, ensuring they work together as a cohesive outfit.
+* **Layering Logic:** Apply proper layering principles (e.g., undershirt beneath overshirt, shirt tucked into pants, jacket over shirt).
+* **3D Form Adaptation:** Map ALL 2D apparel images onto the model's 3D body contours, accounting for the model's curves, muscles, and bone structure.
+* **Dynamic Draping & Folds:** Generate realistic fabric folds, wrinkles, and creases for ALL items that respond to:
+    * The model's pose and movement
+    * The inherent properties of each fabric type
+    * Gravity and natural hanging
+    * How items interact with each other (e.g., shirt fabric under jacket)
+
+### **Photometric Integration (Lighting & Shadows):**
+* **Unified Shadow System:** Cast shadows from ALL garments onto the model's body and vice-versa, ensuring consistency with the base image's light source(s).
+* **Light Interaction:** ALL apparel fabrics must reflect and absorb light consistently within the same light environment.
+* **Inter-Item Shadows:** Generate realistic shadows between overlapping garments (e.g., jacket casting shadows on shirt underneath).
+
+### **Apparel Integrity Preservation (Absolute Fidelity):**
+* **NO Modification of Product Appearance:** The color, exact texture, fabric weave, graphic prints, embroidery, and any brand logos or labels for ALL items *must remain absolutely identical* to the provided product images.
+* **Detail Retention:** Maintain all intricate details of ALL apparel items.
+
+### **Scene Integrity (Unwavering Consistency):**
+* **Base Image as Anchor:** The base model image serves as the immutable foundation. Do not alter the model's facial features, expression, hair, skin tone, or original posture.
+* **Environment & Background:** The original background and environment must be preserved without any modifications.
+
+## **EXCLUSIONS (Strict Adherence)**
+* **NO Additions:** Do not introduce any new elements, accessories, props, text overlays, or external branding.
+* **NO Stylization:** Do not apply any filters, color grading, or artistic effects that deviate from the native photographic style.
+* **NO Distortions:** Avoid any unnatural stretching, warping, or blurring of the apparel or the model.
+
+## **OUTPUT**
+A single, high-resolution composite image presenting the model wearing ALL the specified apparel items as a complete, cohesive outfit, captured as if in a single, authentic photograph.`,
+    user: `
+Your task is to create a complete outfit by integrating ALL the provided apparel items onto the base model simultaneously.
+
+**Apparel Items to Integrate:**
+{{items}}
+
+**Instructions:**
+1. **Integrate All Items Realistically:** Place ALL apparel items onto the model at once, ensuring they work together as a cohesive outfit.
+2. **Layering & Coordination:** Consider how the items should be layered (e.g., shirt under jacket, pants with shirt tucked in).
+3. **Match the Scene:** The lighting and shadows on ALL apparel must perfectly match the existing light source in the base image.
+4. **Preserve Integrity:** Do not change the model's face, pose, body, or the background. All apparel colors, textures, and designs must remain identical to the product images provided.
+5. **Outfit Harmony:** Ensure all items work together visually and functionally as a complete, stylish outfit.
+{{instructions}}`,
+  },
+  layering: {
+    version: 2,
+    description: 'Adds one product to the outfit in progressive layering mode',
+    variables: [
+      'productName',
+      'categoryLabel',
+      'categoryPlacement',
+      'layer',
+      'itemInstructions',
+      'instructions',
+    ],
+    system: `
+## **ROLE**
+You are an expert **Photorealistic Virtual Try-On Compositor**.
+
+## **OBJECTIVE**
+Add exactly ONE apparel item to the person in the base image. The base image may already show garments added in earlier steps; they are part of the outfit and must be kept.
+
+## **RULES**
+* **Layering:** The new item is a **{{categoryLabel}}** ({{layer}} layer). Place it correctly relative to what the person already wears (e.g. outerwear goes over tops, tops can be tucked into bottoms).
+* **Placement:** {{categoryPlacement}}
+* **Realism:** Fit the item to the body's pose and contours with natural folds, and match the scene's lighting and shadows.
+* **Apparel Fidelity:** Colors, textures, prints and logos of the new item must remain identical to its product image.
+* **Preserve Everything Else:** Do not change the face, hair, pose, body, background, or any garment already present unless the new item covers it.
+* **NO Additions:** Do not introduce any other items, props, text or effects.
+
+## **OUTPUT**
+A single photorealistic image of the person wearing the outfit with the new item added.`,
+    user: `Add this {{categoryLabel}} to the outfit: **{{productName}}**.{{itemInstructions}}
+{{instructions}}`,
+  },
+};
+
+/**
+ * Fills `{{name}}` placeholders of a prompt template
+ * @param {string} template - Template text
+ * @param {Object<string, string>} variables - Values by placeholder name
+ * @returns {string} - Rendered text; unknown placeholders are left empty
+ */
+function renderPromptTemplate(template, variables = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => {
+    if (variables[name] === undefined || variables[name] === null) {
+      console.warn(`Prompt template variable not provided: ${name}`);
+      return '';
+    }
+    return String(variables[name]);
+  });
+}
+
+/**
+ * Formats the user's free-text styling instructions for a prompt
+ * @param {string} [instructions] - Instructions for the whole outfit, e.g. "tuck the shirt in"
+ * @returns {string} - Prompt section, or an empty string when there are none
+ */
+function formatStylingInstructions(instructions) {
+  const text = (instructions || '').trim();
+  if (!text) return '';
+  return `
+**Styling Instructions from the user:**
+${text}
+Follow these instructions as long as they do not change the garments' colors, prints or designs.
+`;
+}
+
+/**
+ * Formats a product's own styling note for an item list entry
+ * @param {{instructions?: string}} product - Apparel item
+ * @returns {string} - Note prefixed with a space, or an empty string
+ */
+function formatItemInstructions(product) {
+  const text = (product.instructions || '').trim();
+  return text ? ` Styling: "${text}".` : '';
+}
+
+/**
+ * Loads a prompt template, applying the user's override from settings if any
+ * @param {string} id - Key of PROMPT_TEMPLATES
+ * @returns {Promise<{id: string, system: string, user: string, version: string}>} - Template and its version label,
+ *   e.g. "composition@1" or "composition@1+custom.k3j9x" for an override
+ */
+async function getPromptTemplate(id) {
+  const defaults = PROMPT_TEMPLATES[id];
+  if (!defaults) {
+    throw new Error(`Unknown prompt template: ${id}`);
+  }
+
+  const { promptOverrides } = await chrome.storage.local.get([
+    'promptOverrides',
+  ]);
+  const override = promptOverrides && promptOverrides[id];
+  if (!override) {
+    return {
+      id,
+      system: defaults.system,
+      user: defaults.user,
+      version: `${id}@${defaults.version}`,
+    };
+  }
+
+  const system = override.system ?? defaults.system;
+  const user = override.user ?? defaults.user;
+  return {
+    id,
+    system,
+    user,
+    // Hash the text so different custom edits get different versions
+    version: `${id}@${defaults.version}+custom.${generateUrlHash(
+      system + user
+    )}`,
+  };
+}
+
+/**
+ * Maximum number of candidate images generated per try-on
+ */
+const MAX_VARIATIONS = 4;
+
+/**
+ * Runs a generation step several times to get candidate images to pick from
+ * Candidates are generated concurrently; failed ones are dropped as long as one succeeds
+ * @param {number} [count] - Number of candidates, 1 by default
+ * @param {Function} generate - Async, called with the candidate index and resolving to one generated image
+ * @returns {Promise<Array<string>>} - Generated images, at least one
+ */
+async function generateVariations(count, generate) {
+  const total = Math.min(Math.max(1, count || 1), MAX_VARIATIONS);
+  if (total > 1) {
+    console.log(`Generating ${total} variations...`);
+  }
+
+  const results = await mapWithConcurrency(
+    Array.from({ length: total }, (_, index) => index),
+    total,
+    (index) => generate(index)
+  );
+
+  const aborted = results.find(
+    (result) => result.status === 'rejected' && isAbortError(result.reason)
+  );
+  if (aborted) {
+    throw aborted.reason;
+  }
+
+  const images = results
+    .filter((result) => result.status === 'fulfilled')
+    .map((result) => result.value);
+  if (images.length === 0) {
+    throw results[0].reason;
+  }
+  if (images.length < total) {
+    console.warn(`${total - images.length} of ${total} variations failed`);
+  }
+  return images;
+}
+
+/**
+ * Runs a paid generation step at most once per job
+ * The output is saved through options.onCheckpoint, so a job resumed after the worker was
+ * terminated takes it from options.checkpoints instead of calling the model again
+ * @param {Object} options - Generation options, see generateOutfitImage()
+ * @param {string} key - Identifies the step within the job
+ * @param {Function} step - Async, resolves to the generated image
+ * @returns {Promise<string>} - Saved or newly generated image
+ */
+async function runCheckpointedStep(options, key, step) {
+  const saved = options.checkpoints && options.checkpoints[key];
+  if (saved) {
+    console.log(`Reusing ${key} from an interrupted attempt`);
+    return saved;
+  }
+
+  const image = await step();
+  await options.onCheckpoint?.(key, image);
+  return image;
+}
+
+/**
+ * Checkpoint key of a composition step, see runCheckpointedStep()
+ * Steps build on every garment applied so far, so the key covers all of them
+ * @param {string} prefix - Kind of step, e.g. 'layer'
+ * @param {Array<Object>} products - Products applied up to and including this step
+ * @returns {string} - Checkpoint key
+ */
+function getStepCheckpointKey(prefix, products) {
+  return `${prefix}:${products
+    .map((product) => generateUrlHash(product.image))
+    .join('+')}`;
+}
+
+/**
+ * Default number of product images extracted at the same time
+ */
+const DEFAULT_EXTRACTION_CONCURRENCY = 3;
+
+/**
+ * Maps items through an async function with at most `limit` calls in flight
+ * Results keep the order of the items and are settled like Promise.allSettled()
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum number of concurrent calls
+ * @param {Function} iteratee - Async, called with (item, index)
+ * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>} - Settled results
+ */
+async function mapWithConcurrency(items, limit, iteratee) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      try {
+        results[index] = {
+          status: 'fulfilled',
+          value: await iteratee(items[index], index),
+        };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+}
+
+/**
+ * Extracts (or loads from cache) the garment image of every product, several at a time
+ * Extraction failures fall back to the original product image; products whose image
+ * cannot be downloaded at all are reported through options.onProductFailed and left out
+ * @param {ImageProvider} provider - Image provider used for extraction
+ * @param {Array<{name: string, image: string}>} products - List of apparel items with image URLs
+ * @param {Object} [options] - Generation options, see generateOutfitImage()
+ * @returns {Promise<Array<{product: Object, image: string}>>} - Prepared products in their original order
+ */
+async function prepareProductImages(provider, products, options = {}) {
+  const stages = options.stages || {};
+  const concurrency =
+    options.extractionConcurrency || DEFAULT_EXTRACTION_CONCURRENCY;
+  console.log(
+    `Preparing ${products.length} product images (${concurrency} at a time)...`
+  );
+  const { version: extractionVersion } = await getPromptTemplate('extraction');
+
+  const results = await mapWithConcurrency(
+    products,
+    concurrency,
+    async (product, i) => {
+      console.log(
+        `\n--- Processing product ${i + 1}/${products.length}: ${
+          product.name
+        } ---`
+      );
+
+      try {
+        // Check if image is already cached
+        const cachedImage = await getCachedProductImage(
+          product.image,
+          extractionVersion
+        );
+        if (cachedImage && cachedImage.image) {
+          console.log(`Using cached product image for ${product.name}`);
+          return cachedImage.image;
+        }
+
+        // Extract actual product image from the product image URL
+        console.log(`Extracting actual product image for ${product.name}...`);
+        const extractedImage = await runCheckpointedStep(
+          options,
+          `extraction:${generateUrlHash(product.image)}`,
+          () =>
+            extractActualProductImage(provider, product.image, product.name, {
+              stage: stages.extraction,
+              category: getGarmentCategory(product),
+              onPromptVersion: options.onPromptVersion,
+              onRetry: options.onRetry,
+              signal: options.signal,
+            })
+        );
+        console.log(
+          `Successfully extracted actual product image for ${product.name} (API call)`
+        );
+        return extractedImage;
+      } catch (extractError) {
+        // A cancelled generation must not fall back to the original image
+        if (isAbortError(extractError)) throw extractError;
+        console.warn(
+          `Failed to extract actual product image for ${product.name}, using original:`,
+          extractError.message
+        );
+        // Fallback to original image if extraction fails
+        return await convertUrlToBase64(product.image, options.signal);
+      }
+    }
+  );
+
+  // Products whose image could not even be downloaded are left out of the outfit
+  const prepared = [];
+  results.forEach((result, i) => {
+    if (result.status === 'fulfilled') {
+      prepared.push({ product: products[i], image: result.value });
+    } else if (!isAbortError(result.reason)) {
+      console.warn(
+        `Skipping ${products[i].name}, its image could not be loaded:`,
+        result.reason.message
+      );
+      options.onProductFailed?.(products[i], result.reason);
+    }
+  });
+
+  const aborted = results.find(
+    (result) => result.status === 'rejected' && isAbortError(result.reason)
+  );
+  if (aborted) {
+    throw aborted.reason;
+  }
+  if (prepared.length === 0) {
+    throw new Error('None of the selected product images could be loaded');
+  }
+
+  return prepared;
+}
+
+/**
+ * Generates a single outfit image from multiple apparel items using the configured image provider
+ * Creates a composite image of all products and sends it to the API in one call
+ * @param {ImageProvider} provider - Image provider used for extraction and composition
+ * @param {string} inputImageUrl - Base mannequin or input image URL
+ * @param {Array<{name: string, image: string}>} products - List of apparel items with image URLs
+ * @param {Object} [options] - Generation options
+ * @param {Object} [options.stages] - `{model, temperature}` overrides for the 'extraction' and 'composition' stages
+ * @param {Function} [options.onRetry] - Called before a failed model call is retried, see withRetry()
+ * @param {AbortSignal} [options.signal] - Cancels the generation, including pending downloads and retries
+ * @param {Function} [options.onStageChange] - Called with 'extracting' or 'composing' as the generation progresses
+ * @param {number} [options.extractionConcurrency] - Maximum number of product images extracted at once
+ * @param {Function} [options.onProductFailed] - Called with (product, error) for products left out because their image failed to load
+ * @param {string} [options.mode] - 'single' sends all products in one call, 'layered' applies them one at a time, see generateOutfitLayered()
+ * @param {Function} [options.onPromptVersion] - Called with (templateId, version) for every prompt template used, see getPromptTemplate()
+ * @param {string} [options.instructions] - Free-text styling instructions for the whole outfit; per-product notes come from `product.instructions`
+ * @param {number} [options.variations] - Number of candidate images to generate, see generateVariations()
+ * @param {Object<string, string>} [options.checkpoints] - Step outputs saved by an interrupted attempt, see runCheckpointedStep()
+ * @param {Function} [options.onCheckpoint] - Async, called with (key, image) after every paid step
+ * @returns {Promise<Array<string>>} - Generated outfit image candidates
+ */
+async function generateOutfitImage(
+  provider,
+  inputImageUrl,
+  products,
+  options = {}
+) {
+  const stages = options.stages || {};
+
+  if (!provider) throw new Error('Image provider is required');
+
+  // Dedicated try-on models take one garment at a time instead of a prompt
+  if (provider.supportsTryOn) {
+    return await generateOutfitWithTryOnModel(
+      provider,
+      inputImageUrl,
+      products,
+      options
+    );
+  }
+
+  if (options.mode === 'layered') {
+    return await generateOutfitLayered(
+      provider,
+      inputImageUrl,
+      products,
+      options
+    );
+  }
+
+  console.log(
+    `Starting single composite outfit generation with ${products.length} products...`
+  );
+
+  // Step 1: Extract and prepare all product images, several at a time
+  options.onStageChange?.('extracting');
+  const prepared = await prepareProductImages(provider, products, options);
+  const productImages = prepared.map((item) => item.image);
+  const productNames = prepared.map((item) => item.product.name);
+  const productCategories = prepared.map((item) =>
+    getGarmentCategory(item.product)
+  );
+
+  // Step 2: Prepare product images for API (no composite needed in service worker)
+  console.log('Preparing product images for API...');
+
+  // Step 3: Build content parts for single API call
+  const template = await getPromptTemplate('composition');
+  const variables = {
+    items: productNames
+      .map(
+        (name, index) =>
+          `${index + 1}. ${name} (${productCategories[index].label}): ${
+            productCategories[index].placement
+          }${formatItemInstructions(prepared[index].product)}`
+      )
+      .join('\n'),
+    instructions: formatStylingInstructions(options.instructions),
+  };
+  const parts = [
+    {
+      type: 'text',
+      text: renderPromptTemplate(template.user, variables),
+    },
+    {
+      type: 'image',
+      url: await convertUrlToBase64(inputImageUrl, options.signal),
+      label: 'This is the **Base Model Image** - the foundation for the outfit.',
+    },
+  ];
+
+  // Add each product image separately to the content
+  productImages.forEach((productImage, index) => {
+    parts.push({
+      type: 'image',
+      url: productImage,
+      label: `This is **Apparel Item ${index + 1}** (${
+        productCategories[index].label
+      }): ${productNames[index]}.`,
+    });
+  });
+
+  // Step 4: Build provider-agnostic prompt for single API call
+  const prompt = {
+    system: renderPromptTemplate(template.system, variables),
+    parts,
+    stage: 'composition',
+    promptVersion: template.version,
+    ...getStagePromptOptions(stages.composition),
+  };
+
+  console.log(
+    `Calling ${provider.name} with all products (${template.version})...`
+  );
+  options.onPromptVersion?.('composition', template.version);
+  options.onStageChange?.('composing');
+
+  // Step 5: Call the provider once per variation with all products and parse the generated outfit images
+  try {
+    const compositionKey = getStepCheckpointKey(
+      'composition',
+      prepared.map((item) => item.product)
+    );
+    const generatedImages = await generateVariations(
+      options.variations,
+      (index) =>
+        runCheckpointedStep(options, `${compositionKey}:${index}`, () =>
+          withRetry(
+            () => provider.generateImage(prompt, { signal: options.signal }),
+            { onRetry: options.onRetry, signal: options.signal }
+          )
+        )
+    );
+    console.log(`Generated ${generatedImages.length} outfit image(s) received`);
+    return generatedImages;
+  } catch (err) {
+    console.error('Error generating outfit image:', err);
+    throw err;
+  }
+}
+
+/**
+ * Whether falling back to a candidate may spend money
+ * OpenRouter models are free only with a `:free` slug (the default model is free), so every
+ * stage's model must be free; the mock provider never costs anything and every other provider
+ * bills the user's key
+ * @param {{config: Object, stages: Object}} candidate - Fallback candidate
+ * @returns {boolean} - True when the candidate is considered paid
+ */
+function isPaidCandidate(candidate) {
+  const providerId = candidate.config.provider;
+  if (providerId === 'mock') {
+    return false;
+  }
+  if (providerId === 'openrouter') {
+    return ['extraction', 'composition'].some((stage) => {
+      const model =
+        (candidate.stages[stage] && candidate.stages[stage].model) ||
+        candidate.config.model;
+      return Boolean(model) && !model.endsWith(':free');
+    });
+  }
+  return true;
+}
+
+/**
+ * Builds fallback candidates from the configured fallback chain
+ * Each entry uses the stage settings saved for its provider; an entry's model replaces the stage models
+ * @param {Array<{provider: string, model?: string}>} fallbackChain - Ordered fallback entries
+ * @param {Object} stageSettings - Stored stage settings for all providers
+ * @returns {Promise<Array<Object>>} - Candidates for generateOutfitWithFallback()
+ */
+async function buildFallbackCandidates(fallbackChain, stageSettings = {}) {
+  const candidates = [];
+
+  for (const entry of fallbackChain) {
+    if (!IMAGE_PROVIDERS[entry.provider]) {
+      console.warn(`Skipping unknown fallback provider: ${entry.provider}`);
+      continue;
+    }
+
+    const config = await loadProviderConfig(entry.provider);
+    const providerStages = getProviderStageSettings(
+      stageSettings,
+      entry.provider
+    );
+    const stages = {};
+    ['extraction', 'composition'].forEach((stage) => {
+      const { model, ...rest } = providerStages[stage] || {};
+      stages[stage] = entry.model ? { ...rest, model: entry.model } : rest;
+    });
+    if (entry.model) {
+      config.model = entry.model;
+    }
+
+    const candidate = {
+      label: entry.model ? `${entry.provider} ${entry.model}` : entry.provider,
+      config,
+      stages,
+    };
+    candidate.paid = isPaidCandidate(candidate);
+    candidates.push(candidate);
+  }
+
+  return candidates;
+}
+
+/**
+ * Generates an outfit by walking an ordered list of provider/model candidates
+ * The first candidate is the primary provider; later ones are only tried when the previous one failed
+ * @param {Array<{label: string, config: Object, stages: Object, paid: boolean}>} candidates - Ordered candidates
+ * @param {string} inputImageUrl - Base mannequin or input image URL
+ * @param {Array<{name: string, image: string}>} products - List of apparel items with image URLs
+ * @param {Object} [options] - Generation options, see generateOutfitImage()
+ * @param {Function} [options.onFallback] - Async, called with (candidate, error) before falling back; returning false stops the chain
+ * @returns {Promise<Array<string>>} - Generated outfit image candidates
+ */
+async function generateOutfitWithFallback(
+  candidates,
+  inputImageUrl,
+  products,
+  options = {}
+) {
+  let lastError = null;
+
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+
+    if (i > 0) {
+      const proceed = options.onFallback
+        ? await options.onFallback(candidate, lastError)
+        : true;
+      if (!proceed) {
+        console.log(`Fallback to ${candidate.label} declined`);
+        break;
+      }
+      console.log(`Falling back to ${candidate.label}...`);
+    }
+
+    try {
+      const provider = createImageProvider(candidate.config);
+      return await generateOutfitImage(provider, inputImageUrl, products, {
+        ...options,
+        stages: candidate.stages,
+      });
+    } catch (error) {
+      // Cancelling stops the whole chain, not just the current candidate
+      if (isAbortError(error)) throw error;
+      console.warn(`Generation with ${candidate.label} failed:`, error.message);
+      lastError = error;
+    }
+  }
+
+  throw lastError || new Error('No image provider configured');
+}
+
+/**
+ * Order in which garments are put on in progressive layering mode
+ */
+const LAYER_ORDER = ['base', 'bottom', 'outerwear', 'footwear', 'accessory'];
+
+/**
+ * Garment categories with their layer and category-specific prompt instructions
+ * `keywords` is matched against the product's article type (e.g. Myntra's "tshirts",
+ * "casual-shoes") first and its name second
+ */
+const GARMENT_CATEGORIES = {
+  topwear: {
+    label: 'top',
+    layer: 'base',
+    keywords:
+      /\b(t[- ]?shirts?|tees?|shirts?|tops?|polos?|blouses?|tanks?|camisoles?|tunics?|kurtis?)\b/i,
+    extraction:
+      'Capture the whole garment including the collar or neckline, both sleeves and the hem.',
+    placement:
+      'Fit it on the upper body from the shoulders to the hips; tuck it into bottoms only if the style calls for it.',
+  },
+  bottomwear: {
+    label: 'bottom',
+    layer: 'bottom',
+    keywords:
+      /\b(jeans|trousers|pants|shorts|skirts?|joggers|chinos|leggings|jeggings|palazzos?|track ?pants|capris)\b/i,
+    extraction:
+      'Capture the whole garment from the waistband to the hem of both legs, including belt loops and pockets.',
+    placement:
+      'Fit it from the waist down, following the legs and pose; keep the original length and fit (e.g. slim, wide, cropped).',
+  },
+  dress: {
+    label: 'dress',
+    layer: 'base',
+    keywords: /\b(dress(es)?|gowns?|jumpsuits?|playsuits?|dungarees)\b/i,
+    extraction:
+      'Capture the complete one-piece garment from neckline to hem, including straps or sleeves.',
+    placement:
+      'Fit it as a single piece from the shoulders down, replacing both the top and bottom the person wears.',
+  },
+  ethnic: {
+    label: 'ethnic wear',
+    layer: 'base',
+    keywords:
+      /\b(sarees?|saris?|lehengas?|kurtas?|salwars?|anarkalis?|sherwanis?|dupattas?|churidars?)\b/i,
+    extraction:
+      'Capture every piece of the garment, including drapes, dupattas, borders and embroidery, laid out in full.',
+    placement:
+      'Drape and fit it the traditional way (e.g. a saree pleated at the waist with the pallu over the shoulder), preserving borders and embroidery.',
+  },
+  outerwear: {
+    label: 'outer layer',
+    layer: 'outerwear',
+    keywords:
+      /\b(jackets?|blazers?|coats?|hoodies?|sweatshirts?|sweaters?|cardigans?|shrugs?|overshirts?|waistcoats?|gilets?|parkas?)\b/i,
+    extraction:
+      'Capture the whole garment including the collar or hood, both sleeves, zips or buttons, and the hem.',
+    placement:
+      'Layer it over the existing top, open or closed as in the product image, with the garment underneath visible where it would be.',
+  },
+  footwear: {
+    label: 'pair of shoes',
+    layer: 'footwear',
+    keywords:
+      /\b(shoes?|sneakers|boots|sandals|heels|loafers|slippers|flip[- ]?flops|flats|mules|sliders)\b/i,
+    extraction:
+      'Capture the pair (or a single shoe) from a side or three-quarter angle, including the sole and laces.',
+    placement:
+      'Put them on both feet at the correct scale and angle for the pose, with contact shadows on the ground.',
+  },
+  accessory: {
+    label: 'accessory',
+    layer: 'accessory',
+    keywords:
+      /\b(watch(es)?|belts?|bags?|handbags?|backpacks?|caps?|hats?|sunglasses|scarf|scarves|stoles?|necklaces?|earrings|bracelets?|ties|socks)\b/i,
+    extraction:
+      'Capture the complete item with its straps, buckles or chains, at its true shape and proportions.',
+    placement:
+      'Place it where it is naturally worn or carried, at a realistic scale relative to the body.',
+  },
+  apparel: {
+    label: 'apparel item',
+    layer: 'base',
+    keywords: null,
+    extraction: 'Capture the complete item with all of its parts.',
+    placement: 'Fit it on the body where this kind of item is naturally worn.',
+  },
+};
+
+/**
+ * Order in which categories are matched, most specific first
+ * (e.g. a "shirt dress" is a dress and a "denim jacket" is outerwear).
+ * Accessories come last since their words often describe a garment's details,
+ * as in "dress with belt" or "cap sleeve top"
+ */
+const GARMENT_CATEGORY_MATCH_ORDER = [
+  'footwear',
+  'ethnic',
+  'dress',
+  'outerwear',
+  'bottomwear',
+  'topwear',
+  'accessory',
+];
+
+/**
+ * Detects a product's garment category from its article type, falling back to its name
+ * @param {{name?: string, articleType?: string, category?: string}} product - Apparel item
+ * @returns {string} - Key of GARMENT_CATEGORIES
+ */
+function detectGarmentCategory(product) {
+  if (product.category && GARMENT_CATEGORIES[product.category]) {
+    return product.category;
+  }
+
+  const hints = [product.articleType, product.name]
+    .filter(Boolean)
+    .map((hint) => hint.replace(/[-_]+/g, ' '));
+
+  for (const hint of hints) {
+    const match = GARMENT_CATEGORY_MATCH_ORDER.find((id) =>
+      GARMENT_CATEGORIES[id].keywords.test(hint)
+    );
+    if (match) return match;
+  }
+  return 'apparel';
+}
+
+/**
+ * Looks up the garment category entry of a product
+ * @param {Object} product - Apparel item
+ * @returns {Object} - GARMENT_CATEGORIES entry
+ */
+function getGarmentCategory(product) {
+  return GARMENT_CATEGORIES[detectGarmentCategory(product)];
+}
+
+/**
+ * Layer a product belongs to, see LAYER_ORDER
+ * @param {Object} product - Apparel item
+ * @returns {string} - One of LAYER_ORDER
+ */
+function getGarmentLayer(product) {
+  return getGarmentCategory(product).layer;
+}
+
+/**
+ * Sorts products in the order they should be put on
+ * @param {Array<{name: string}>} products - Apparel items
+ * @returns {Array<{name: string}>} - New array, stable within a layer
+ */
+function sortProductsByLayer(products) {
+  return products
+    .map((product, index) => ({ product, index }))
+    .sort(
+      (a, b) =>
+        LAYER_ORDER.indexOf(getGarmentLayer(a.product)) -
+          LAYER_ORDER.indexOf(getGarmentLayer(b.product)) || a.index - b.index
+    )
+    .map(({ product }) => product);
+}
+
+/**
+ * Generates an outfit by applying garments one at a time in layering order
+ * Each step adds one garment to the previous result, which gives more control than
+ * a single multi-item prompt and lets the sidebar show every intermediate image
+ * @param {ImageProvider} provider - Image provider used for extraction and composition
+ * @param {string} inputImageUrl - Base mannequin or input image URL
+ * @param {Array<{name: string, image: string}>} products - List of apparel items with image URLs
+ * @param {Object} [options] - Generation options, see generateOutfitImage()
+ * @param {Function} [options.onPreview] - Called with ({image, step, totalSteps, productName}) after each garment but the last
+ * @returns {Promise<Array<string>>} - Generated outfit image candidates
+ */
+async function generateOutfitLayered(
+  provider,
+  inputImageUrl,
+  products,
+  options = {}
+) {
+  const stages = options.stages || {};
+  const orderedProducts = sortProductsByLayer(products);
+
+  console.log(
+    `Starting layered outfit generation: ${orderedProducts
+      .map((product) => `${product.name} (${getGarmentLayer(product)})`)
+      .join(' -> ')}`
+  );
+
+  // Step 1: Extract and prepare all product images, several at a time
+  options.onStageChange?.('extracting');
+  const prepared = await prepareProductImages(
+    provider,
+    orderedProducts,
+    options
+  );
+
+  // Step 2: Put the garments on one after another
+  options.onStageChange?.('composing');
+  const template = await getPromptTemplate('layering');
+  options.onPromptVersion?.('layering', template.version);
+  let currentImage = await convertUrlToBase64(inputImageUrl, options.signal);
+
+  for (let i = 0; i < prepared.length; i++) {
+    const { product, image } = prepared[i];
+    const category = getGarmentCategory(product);
+    const layer = category.layer;
+    console.log(
+      `\n--- Layer ${i + 1}/${prepared.length}: ${product.name} (${layer}) ---`
+    );
+
+    const variables = {
+      productName: product.name,
+      categoryLabel: category.label,
+      categoryPlacement: category.placement,
+      layer,
+      itemInstructions: formatItemInstructions(product),
+      instructions: formatStylingInstructions(options.instructions),
+    };
+    const prompt = {
+      system: renderPromptTemplate(template.system, variables),
+      parts: [
+        {
+          type: 'text',
+          text: renderPromptTemplate(template.user, variables),
+        },
+        {
+          type: 'image',
+          url: currentImage,
+          label: 'This is the **Base Image** - the person and outfit so far.',
+        },
+        {
+          type: 'image',
+          url: image,
+          label: `This is the **Apparel Item** to add: ${product.name}.`,
+        },
+      ],
+      stage: 'composition',
+      promptVersion: template.version,
+      ...getStagePromptOptions(stages.composition),
+    };
+
+    const stepKey = getStepCheckpointKey(
+      'layer',
+      prepared.slice(0, i + 1).map((item) => item.product)
+    );
+    const applyGarment = (key) =>
+      runCheckpointedStep(options, key, () =>
+        withRetry(
+          () => provider.generateImage(prompt, { signal: options.signal }),
+          { onRetry: options.onRetry, signal: options.signal }
+        )
+      );
+
+    // Only the final step is varied, earlier results feed the next step
+    if (i === prepared.length - 1) {
+      return await generateVariations(options.variations, (index) =>
+        applyGarment(`${stepKey}:${index}`)
+      );
+    }
+
+    currentImage = await applyGarment(stepKey);
+    console.log(`Applied ${product.name} with ${provider.name}`);
+
+    options.onPreview?.({
+      image: currentImage,
+      step: i + 1,
+      totalSteps: prepared.length,
+      productName: product.name,
+    });
+  }
+
+  return [currentImage];
+}
+
+/**
+ * Generates an outfit image with a dedicated try-on model
+ * Garments are applied one after another in layering order, each result becoming the person image for the next
+ * @param {ImageProvider} provider - Provider with supportsTryOn set
+ * @param {string} inputImageUrl - Base mannequin or input image URL
+ * @param {Array<{name: string, image: string, allImages?: Array<string>}>} products - List of apparel items with image URLs
+ * @param {Object} [options] - Generation options, see generateOutfitImage()
+ * @returns {Promise<Array<string>>} - Generated outfit image candidates
+ */
+async function generateOutfitWithTryOnModel(
+  provider,
+  inputImageUrl,
+  products,
+  options = {}
+) {
+  console.log(
+    `Starting try-on model outfit generation with ${products.length} products...`
+  );
+
+  // Garments are composed straight away, there is no separate extraction step
+  options.onStageChange?.('composing');
+  let currentImage = await convertUrlToBase64(inputImageUrl, options.signal);
+  const orderedProducts = sortProductsByLayer(products);
+  const { version: extractionVersion } = await getPromptTemplate('extraction');
+
+  for (let i = 0; i < orderedProducts.length; i++) {
+    const product = orderedProducts[i];
+    console.log(
+      `\n--- Applying product ${i + 1}/${orderedProducts.length}: ${
+        product.name
+      } ---`
+    );
+
+    // Prefer a previously extracted garment, otherwise a single product photo
+    // rather than the multi-view collage built by the content script
+    let garmentImage;
+    const cachedImage = await getCachedProductImage(
+      product.image,
+      extractionVersion
+    );
+    if (cachedImage && cachedImage.image) {
+      console.log(`Using cached product image for ${product.name}`);
+      garmentImage = cachedImage.image;
+    } else {
+      const garmentUrl =
+        (product.allImages && product.allImages[0]) || product.image;
+      garmentImage = await convertUrlToBase64(garmentUrl, options.signal);
+    }
+
+    const personImage = currentImage;
+    const stepKey = getStepCheckpointKey(
+      'tryon',
+      orderedProducts.slice(0, i + 1)
+    );
+    const applyGarment = (key) =>
+      runCheckpointedStep(options, key, () =>
+        withRetry(
+          () =>
+            provider.tryOn(
+              {
+                personImage,
+                garmentImage,
+                garmentName: product.name,
+              },
+              { signal: options.signal }
+            ),
+          { onRetry: options.onRetry, signal: options.signal }
+        )
+      );
+
+    // Only the final step is varied, earlier results feed the next step
+    if (i === orderedProducts.length - 1) {
+      return await generateVariations(options.variations, (index) =>
+        applyGarment(`${stepKey}:${index}`)
+      );
+    }
+
+    currentImage = await applyGarment(stepKey);
+    console.log(`Applied ${product.name} with ${provider.name}`);
+
+    options.onPreview?.({
+      image: currentImage,
+      step: i + 1,
+      totalSteps: orderedProducts.length,
+      productName: product.name,
+    });
+  }
+
+  return [currentImage];
+}
+
+/**
+ * Extracts the actual product image from a product image URL using the API
+ * This helps get high-quality, properly cropped product images for better outfit generation
+ * @param {ImageProvider} provider - Image provider used for extraction
+ * @param {string} productImageUrl - URL of the product image to extract
+ * @param {string} productName - Name of the product for logging
+ * @param {Object} [options] - Extraction options
+ * @param {{model?: string, temperature?: number}} [options.stage] - Extraction stage overrides
+ * @param {Object} [options.category] - GARMENT_CATEGORIES entry of the product, defaults to a generic apparel item
+ * @param {Function} [options.onPromptVersion] - Called with ('extraction', version) when the model is called
+ * @param {Function} [options.onRetry] - Called before a failed model call is retried, see withRetry()
+ * @param {AbortSignal} [options.signal] - Cancels the extraction
+ * @returns {Promise<string>} - Base64 data URL of the extracted product image
+ */
+async function extractActualProductImage(
+  provider,
+  productImageUrl,
+  productName,
+  options = {}
+) {
+  console.log(`Extracting actual product image from: ${productImageUrl}`);
+
+  // Check for an image extracted with the current template first
+  const template = await getPromptTemplate('extraction');
+  const cachedImage = await getCachedProductImage(
+    productImageUrl,
+    template.version
+  );
+  if (cachedImage && cachedImage.image) {
+    console.log(`Using cached product image for: ${productImageUrl}`);
+    return cachedImage.image;
+  }
+
+  const category = options.category || GARMENT_CATEGORIES.apparel;
+
+  // Convert the product image URL to base64
+  const productImageBase64 = await convertUrlToBase64(
+    productImageUrl,
+    options.signal
+  );
+
+  // Build prompt to extract the actual product image
+  const variables = {
+    productName,
+    categoryLabel: category.label,
+    categoryExtraction: category.extraction,
+  };
+  const prompt = {
+    system: renderPromptTemplate(template.system, variables),
+    parts: [
+      {
+        type: 'text',
+        text: renderPromptTemplate(template.user, variables),
+      },
+      {
+        type: 'image',
+        url: productImageBase64,
+      },
+    ],
+    stage: 'extraction',
+    promptVersion: template.version,
+    ...getStagePromptOptions(options.stage),
+  };
+
+  console.log(
+    `Calling ${provider.name} to extract product image for ${productName} (${template.version})...`
+  );
+  options.onPromptVersion?.('extraction', template.version);
+
+  // Call the provider to extract the product image
+  try {
+    const extractedImage = await withRetry(
+      () => provider.generateImage(prompt, { signal: options.signal }),
+      { onRetry: options.onRetry, signal: options.signal }
+    );
+    console.log(`Extracted product image received for ${productName}`);
+
+    // Cache the extracted image for future reuse, except badged mock output
+    // that would otherwise be served after switching to a real provider
+    if (!(provider instanceof MockImageProvider)) {
+      await cacheProductImage(
+        productImageUrl,
+        extractedImage,
+        template.version
+      );
+    }
+    return extractedImage;
+  } catch (err) {
+    console.error(`Error extracting product image for ${productName}:`, err);
+    throw err;
+  }
+}
+
+/**
+ * Storage key of the persisted generation job queue
+ */
+const JOB_QUEUE_STORAGE_KEY = 'generationJobs';
+
+/**
+ * Alarm that keeps waking the service worker while jobs are pending
+ */
+const JOB_QUEUE_ALARM = 'style-me-job-queue';
+
+/**
+ * Maximum number of generations running at the same time
+ */
+const MAX_CONCURRENT_JOBS = 2;
+
+/**
+ * Jobs interrupted this many times (e.g. the worker keeps getting killed) are failed instead of resumed
+ */
+const MAX_JOB_ATTEMPTS = 3;
+
+/**
+ * How long finished jobs are kept before being pruned from storage
+ */
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+
+/**
+ * How long a result that never reached a tab is kept for the sidebar to pick up
+ */
+const UNDELIVERED_JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * How long a job waits for the user to answer a confirmation prompt
+ */
+const CONFIRM_TIMEOUT_MS = 2 * 60 * 1000;
+
+/**
+ * Job states of a generation that was started but not finished
+ */
+const ACTIVE_JOB_STATES = ['confirming', 'extracting', 'composing'];
+
+/**
+ * Generation job queue persisted in chrome.storage.local
+ * Chrome can terminate the service worker mid-generation, so every job and its state
+ * ('queued', 'confirming', 'extracting', 'composing', 'done', 'failed') lives in storage
+ * and jobs left mid-flight are re-queued when the worker wakes up again. Paid step outputs
+ * are kept as checkpoints until the job finishes, and a result stays on the job until a tab
+ * has received it
+ */
+class GenerationJobQueue {
+  /**
+   * @param {Function} runJob - Async, called with (job, {signal, setState, onCheckpoint}) and resolving to the job result
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.concurrency] - Maximum number of jobs running at once
+   * @param {Function} [options.onJobFinished] - Called with the job once it is done or failed, done jobs carry their `result`
+   */
+  constructor(runJob, options = {}) {
+    this.runJob = runJob;
+    this.concurrency = options.concurrency || MAX_CONCURRENT_JOBS;
+    this.onJobFinished = options.onJobFinished || (() => {});
+    this.running = new Map(); // job id -> AbortController
+    this.notified = new Set(); // ids of jobs finished by this worker instance
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Read all persisted jobs
+   * @returns {Promise<Object<string, Object>>} - Jobs by id
+   */
+  async getJobs() {
+    const result = await chrome.storage.local.get([JOB_QUEUE_STORAGE_KEY]);
+    return result[JOB_QUEUE_STORAGE_KEY] || {};
+  }
+
+  /**
+   * Apply a change to the persisted jobs
+   * Writes are chained so concurrent jobs never overwrite each other's updates
+   * @param {Function} updater - Mutates the jobs object in place and returns a value
+   * @returns {Promise<*>} - Value returned by the updater
+   */
+  mutate(updater) {
+    const write = this.writeChain.then(async () => {
+      const jobs = await this.getJobs();
+      const value = updater(jobs);
+      await chrome.storage.local.set({ [JOB_QUEUE_STORAGE_KEY]: jobs });
+      return value;
+    });
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Update fields of a persisted job
+   * @param {string} id - Job id
+   * @param {Object} patch - Fields to update
+   * @returns {Promise<Object|null>} - Updated job, or null when it no longer exists
+   */
+  updateJob(id, patch) {
+    return this.mutate((jobs) => {
+      if (!jobs[id]) return null;
+      jobs[id] = { ...jobs[id], ...patch, updatedAt: Date.now() };
+      return { ...jobs[id] };
+    });
+  }
+
+  /**
+   * Save the output of a paid step of a running job, see runCheckpointedStep()
+   * @param {string} id - Job id
+   * @param {string} key - Step key
+   * @param {string} image - Step output
+   */
+  saveCheckpoint(id, key, image) {
+    return this.mutate((jobs) => {
+      if (!jobs[id]) return;
+      jobs[id].checkpoints = { ...jobs[id].checkpoints, [key]: image };
+    });
+  }
 
-* **Source:** The input is a composite image (collage) containing multiple sub-images.
-* **Content:** These sub-images display a single apparel product (a t-shirt) worn by a model from various angles and in different settings.
-* **Primary Asset:** Your first task is to correctly identify this central t-shirt as the target for extraction.
+  /**
+   * Drop the result of a job once a tab has received it
+   * @param {string} id - Job id
+   */
+  markDelivered(id) {
+    return this.updateJob(id, { result: null, delivered: true });
+  }
 
-## **CORE EXECUTION WORKFLOW**
+  /**
+   * Take the most recent result that never reached a tab, e.g. because the tab was
+   * closed or reloaded while generating
+   * @returns {Promise<Object|null>} - Job with its result, or null when there is none
+   */
+  takeUndeliveredResult() {
+    return this.mutate((jobs) => {
+      const [job] = Object.values(jobs)
+        .filter((candidate) => candidate.state === 'done' && candidate.result)
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+      if (!job) return null;
 
-### **View Identification & Selection**
+      const undelivered = { ...job };
+      Object.assign(job, { result: null, delivered: true });
+      return undelivered;
+    });
+  }
 
-* Scan all sub-images within the collage.
-* Identify the **clearest, most complete, and front-facing view** of the t-shirt. This will be the source for your "Front View" asset.
-* Identify the **clearest and most complete view of the back** of the t-shirt, ensuring the "RAMEN" graphic is fully visible. This will be the source for your "Back View" asset.
+  /**
+   * Add a job and start it when a slot is free
+   * @param {{id: string, tabId: number, data: Object}} job - Job id, requesting tab and request data
+   */
+  async enqueue({ id, tabId, data }) {
+    const now = Date.now();
+    await this.mutate((jobs) => {
+      jobs[id] = {
+        id,
+        tabId,
+        data,
+        state: 'queued',
+        attempts: 0,
+        createdAt: now,
+        updatedAt: now,
+      };
+    });
+    console.log(`Queued generation job ${id}`);
+    await this.pump();
+  }
 
-### **Synthesis and Extraction**
+  /**
+   * Re-queue jobs interrupted by the worker being terminated and continue processing
+   * Called whenever the service worker starts and on every queue alarm
+   */
+  async resume() {
+    const now = Date.now();
+    const { requeued, finished } = await this.mutate((jobs) => {
+      const requeued = [];
+      const finished = [];
 
-* **For the Front View:**
-    * Meticulously segment the selected front view of the t-shirt from the model and its background.
-    * Create a precise, clean-edged alpha mask around the t-shirt's entire silhouette (body, sleeves, collar).
-    * The resulting image should appear as if the t-shirt is laid perfectly flat or on an invisible "ghost" mannequin.
-* **For the Back View:**
-    * Repeat the segmentation process for the selected back view. Pay special attention to preserving the integrity and detail of the large graphic print.
+      Object.values(jobs).forEach((job) => {
+        if (this.running.has(job.id)) return;
 
-### **Integrity Preservation (CRITICAL)**
+        if (ACTIVE_JOB_STATES.includes(job.state)) {
+          if (job.attempts >= MAX_JOB_ATTEMPTS) {
+            Object.assign(job, {
+              state: 'failed',
+              error: 'Generation was interrupted too many times',
+              data: null,
+              checkpoints: null,
+              updatedAt: now,
+            });
+            finished.push({ ...job });
+          } else {
+            Object.assign(job, { state: 'queued', updatedAt: now });
+            requeued.push(job.id);
+          }
+        } else if (job.state === 'done' && job.result) {
+          if (now - job.updatedAt > UNDELIVERED_JOB_TTL_MS) {
+            delete jobs[job.id];
+          } else if (!this.notified.has(job.id)) {
+            // The worker was terminated before the result reached the tab
+            finished.push({ ...job });
+          }
+        } else if (
+          (job.state === 'done' || job.state === 'failed') &&
+          now - job.updatedAt > FINISHED_JOB_TTL_MS
+        ) {
+          delete jobs[job.id];
+        }
+      });
 
-* The visual characteristics of the t-shirt fabric **must not be altered**.
-* Preserve the original color (teal/dark blue), texture, fabric drape, and internal shadows.
-* Ensure all graphics (the small chest logo on the front, the large graphic on the back) are retained with perfect fidelity.
+      return { requeued, finished };
+    });
 
-## **FINAL OUTPUT SPECIFICATIONS**
+    if (requeued.length > 0) {
+      console.log(
+        `Resuming interrupted generation jobs: ${requeued.join(', ')}`
+      );
+    }
+    finished.forEach((job) => this.notify(job));
 
-* **Deliverables:** You will generate **one single image** of the product.
-    * A standalone image of the product's **front perspective**.
-* **Format:** The image must be a high-resolution **PNG file**.
-* **Background:** The background for the image must be **100% transparent** (full alpha channel).
-* **Canvas & Cropping:** Auto-crop the canvas of the final image to the bounding box of the t-shirt, leaving only minimal transparent padding.
-* **Exclusions:** The final asset must be completely free of any original background, models, people, props, or text that is not part of the product's design.
-`,
-      },
-      {
-        role: 'user',
-        content: [
-          {
-            type: 'text',
-            text: `
-Your task is to extract the specified product from the provided image.
+    await this.pump();
+  }
 
-**Product to Extract:** ${productName}
+  /**
+   * Start queued jobs, oldest first, until the concurrency limit is reached
+   */
+  async pump() {
+    const { claimed, pending } = await this.mutate((jobs) => {
+      const queued = Object.values(jobs)
+        .filter((job) => job.state === 'queued')
+        .sort((a, b) => a.createdAt - b.createdAt);
+      const freeSlots = Math.max(0, this.concurrency - this.running.size);
 
-**Instructions:**
-1.  **Select View:** Analyze the image and identify the clearest, most complete, **front-facing view** of the product.
-2.  **Isolate:** Meticulously segment this single view of the product from the model, background, and any other elements.
-3.  **Output:** Generate one single image of the isolated product on a **100% transparent background**. The final image must be a clean PNG, tightly cropped around the product.
-`,
-          },
-          {
-            type: 'image_url',
-            image_url: {
-              url: productImageBase64,
-              // Use 'high_res' for better detail during segmentation
-              detail: 'high_res',
-            },
-          },
-        ],
-      },
-    ],
-    temperature: 0.2, // Low temperature for consistent extraction
-  };
+      // Claim inside the write so two pumps can never start the same job
+      const claimed = queued.slice(0, freeSlots).map((job) => {
+        this.running.set(job.id, new AbortController());
+        Object.assign(job, {
+          state: 'extracting',
+          attempts: job.attempts + 1,
+          updatedAt: Date.now(),
+        });
+        return { ...job };
+      });
 
-  console.log(`Calling API to extract product image for ${productName}...`);
+      return { claimed, pending: queued.length - claimed.length };
+    });
 
-  // Call OpenRouter API to extract the product image
-  const response = await fetch(
-    'https://openrouter.ai/api/v1/chat/completions',
-    {
-      method: 'POST',
-      headers: {
-        Authorization: `Bearer ${apiKey}`,
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(request),
+    if (this.running.size > 0 || pending > 0) {
+      // Alarms wake a terminated worker so interrupted jobs get resumed
+      chrome.alarms.create(JOB_QUEUE_ALARM, { periodInMinutes: 0.5 });
+    } else {
+      chrome.alarms.clear(JOB_QUEUE_ALARM);
     }
-  );
 
-  if (!response.ok) {
-    const errText = await response.text();
-    throw new Error(
-      `Failed to extract product image for ${productName}: ${response.status} ${errText}`
-    );
+    claimed.forEach((job) => this.execute(job));
   }
 
-  const data = await response.json();
-  console.log(
-    `Product image extraction API response received for ${productName}`
-  );
+  /**
+   * Run a claimed job and persist its outcome
+   * @param {Object} job - Job claimed by pump()
+   */
+  async execute(job) {
+    const controller = this.running.get(job.id);
+    let patch;
 
-  // Parse response to get the extracted product image
-  try {
-    const contentStr = data.choices[0].message.content;
-    console.log(
-      `Raw product extraction response for ${productName}:`,
-      contentStr
-    );
+    try {
+      console.log(`Running generation job ${job.id} (attempt ${job.attempts})`);
+      const result = await this.runJob(job, {
+        signal: controller.signal,
+        setState: (state) => this.updateJob(job.id, { state }),
+        onCheckpoint: (key, image) => this.saveCheckpoint(job.id, key, image),
+      });
+      // Kept until a tab receives it, see markDelivered()
+      patch = { state: 'done', error: null, result };
+    } catch (error) {
+      patch = isAbortError(error)
+        ? { state: 'failed', error: 'Cancelled', cancelled: true }
+        : {
+            state: 'failed',
+            error: error.message || 'Failed to generate style',
+          };
+    }
 
-    // Check if there are generated images in the response
-    if (
-      data.choices[0].message.images &&
-      data.choices[0].message.images.length > 0
-    ) {
-      const extractedImage = data.choices[0].message.images[0];
-      console.log(
-        `Found extracted product image for ${productName}:`,
-        extractedImage
-      );
+    // The request data (including the user image) and step outputs are no longer needed
+    const finishedJob = await this.updateJob(job.id, {
+      ...patch,
+      data: null,
+      checkpoints: null,
+    });
+    this.running.delete(job.id);
+    this.notify(finishedJob || { ...job, ...patch });
 
-      if (extractedImage.image_url && extractedImage.image_url.url) {
-        const imageUrl = extractedImage.image_url.url;
-
-        // If it's a base64 image, return it directly
-        if (imageUrl.startsWith('data:')) {
-          console.log(
-            `Using base64 extracted image for extracted product ${productName}`
-          );
-          // Cache the extracted image for future reuse
-          await cacheProductImage(productImageUrl, imageUrl);
-          return imageUrl;
-        } else if (imageUrl.startsWith('http')) {
-          // Convert HTTP URL to base64
-          const base64Image = await convertUrlToBase64(imageUrl);
-          // Cache the extracted image for future reuse
-          await cacheProductImage(productImageUrl, base64Image);
-          return base64Image;
-        }
-      }
-    }
+    await this.pump();
+  }
 
-    // If no images found, check text content for URLs
-    const urlRegex = /https?:\/\/[^\s]+/g;
-    const urls = contentStr.match(urlRegex);
+  /**
+   * Report a finished job through onJobFinished, once per worker instance
+   * @param {Object} job - Finished job
+   */
+  notify(job) {
+    this.notified.add(job.id);
+    Promise.resolve(this.onJobFinished(job)).catch((error) => {
+      console.error(`Error reporting generation job ${job.id}:`, error);
+    });
+  }
 
-    if (urls && urls.length > 0) {
-      const imageUrl = urls[0];
-      console.log(`Found extracted image URL for ${productName}:`, imageUrl);
-      const base64Image = await convertUrlToBase64(imageUrl);
-      // Cache the extracted image for future reuse
-      await cacheProductImage(productImageUrl, base64Image);
-      return base64Image;
-    } else {
-      console.log(`No extracted image found for ${productName}`);
-      throw new Error(`Failed to extract product image for ${productName}`);
+  /**
+   * Cancel a queued or running job
+   * @param {string} id - Job id
+   * @returns {Promise<boolean>} - True when the job was cancelled
+   */
+  async cancel(id) {
+    const controller = this.running.get(id);
+    if (controller) {
+      controller.abort();
+      return true;
     }
-  } catch (err) {
-    console.error(
-      `Error parsing product extraction response for ${productName}:`,
-      err
-    );
-    throw err;
+
+    const cancelledJob = await this.mutate((jobs) => {
+      const job = jobs[id];
+      if (!job || job.state !== 'queued') return null;
+      Object.assign(job, {
+        state: 'failed',
+        error: 'Cancelled',
+        cancelled: true,
+        data: null,
+        checkpoints: null,
+        updatedAt: Date.now(),
+      });
+      return { ...job };
+    });
+
+    if (!cancelledJob) return false;
+    this.notify(cancelledJob);
+    await this.pump();
+    return true;
   }
 }
 
 class StyleMeBackgroundService {
   constructor() {
+    this.jobQueue = new GenerationJobQueue(
+      (job, context) => this.runGenerationJob(job, context),
+      { onJobFinished: (job) => this.handleJobFinished(job) }
+    );
     this.init();
   }
 
@@ -657,6 +3353,7 @@ class StyleMeBackgroundService {
     this.setupMessageListener();
     this.setupExtensionClickHandler();
     this.setupCacheCleanup();
+    this.setupJobQueue();
     console.log('Style Me Background Service initialized');
   }
 
@@ -670,9 +3367,35 @@ class StyleMeBackgroundService {
         if (message.data && message.data.products) {
           // New format with product data
           this.handleStyleMeRequestWithData(message.data, sender.tab.id);
+          // Acknowledge right away, the result arrives as STYLE_ME_SUCCESS/ERROR
+          sendResponse({
+            success: true,
+            generationId: message.data.generationId,
+          });
         }
         // Return true to indicate we'll send a response asynchronously
         return true;
+      } else if (message.type === 'CANCEL_STYLE_ME') {
+        // Handle cancel request from the loading toast
+        this.cancelGeneration(message.generationId)
+          .then((cancelled) => {
+            sendResponse({ success: cancelled });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      } else if (message.type === 'GET_UNDELIVERED_RESULT') {
+        // Handle sidebar opening, it shows results that finished while no tab listened
+        this.jobQueue
+          .takeUndeliveredResult()
+          .then((job) => {
+            sendResponse({ success: true, result: job ? job.result : null });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
       } else if (message.type === 'CLEAR_PRODUCT_CACHE') {
         // Handle cache clearing request
         this.clearProductImageCache()
@@ -711,6 +3434,79 @@ class StyleMeBackgroundService {
             sendResponse({ success: false, error: error.message });
           });
         return true;
+      } else if (message.type === 'LIST_IMAGE_MODELS') {
+        // Handle model picker request
+        this.getImageModels()
+          .then((models) => {
+            sendResponse({ success: true, models });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      } else if (message.type === 'GET_USAGE_SUMMARY') {
+        // Handle usage and budget summary request
+        getUsageSummary()
+          .then((summary) => {
+            sendResponse({ success: true, summary });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      } else if (message.type === 'GET_PROMPT_TEMPLATES') {
+        // Handle prompt editor request, defaults plus the user's overrides
+        this.getPromptTemplates()
+          .then((templates) => {
+            sendResponse({ success: true, templates });
+          })
+          .catch((error) => {
+            sendResponse({ success: false, error: error.message });
+          });
+        return true;
+      } else if (message.type === 'DETECT_GARMENT_CATEGORY') {
+        // Handle category detection for a newly saved product
+        const category = detectGarmentCategory(message.product || {});
+        sendResponse({
+          success: true,
+          category,
+          label: GARMENT_CATEGORIES[category].label,
+        });
+        return false;
+      } else if (message.type === 'COMPOSITE_IMAGES') {
+        // Handle product gallery compositing for the content script
+        createCompositeImage(message.imageUrls || [])
+          .then((imageUrl) => {
+            sendResponse({ success: true, imageUrl });
+          })
+          .catch((error) => {
+            console.error('Error creating composite image:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
+      } else if (message.type === 'ENSURE_HOST_PERMISSIONS') {
+        // Handle host access for endpoints configured in settings
+        ensureHostPermissions(message.urls || [])
+          .then((missing) => {
+            sendResponse({ success: true, missing });
+          })
+          .catch((error) => {
+            console.error('Error checking host permissions:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
+      } else if (message.type === 'NORMALIZE_IMAGE') {
+        // Handle downscaling of an uploaded photo before it is stored
+        getImageMaxEdge()
+          .then((maxEdge) => normalizeImage(message.imageUrl, { maxEdge }))
+          .then((imageUrl) => {
+            sendResponse({ success: true, imageUrl });
+          })
+          .catch((error) => {
+            console.error('Error normalizing image:', error);
+            sendResponse({ success: false, error: error.message });
+          });
+        return true; // Keep message channel open for async response
       } else if (message.type === 'PRELOAD_PRODUCT_IMAGES') {
         // Handle preload request
         const { imageUrls } = message;
@@ -739,6 +3535,46 @@ class StyleMeBackgroundService {
     cleanupOldCachedImages();
   }
 
+  /**
+   * Resume generation jobs interrupted by the worker being terminated
+   */
+  setupJobQueue() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      if (alarm.name === JOB_QUEUE_ALARM) {
+        this.jobQueue.resume().catch((error) => {
+          console.error('Error resuming generation jobs:', error);
+        });
+      }
+    });
+
+    // The worker may have just been restarted mid-generation
+    this.jobQueue.resume().catch((error) => {
+      console.error('Error resuming generation jobs:', error);
+    });
+  }
+
+  /**
+   * List prompt templates for the settings editor
+   * @returns {Promise<Object>} - By template id: default and effective text, version and variables
+   */
+  async getPromptTemplates() {
+    const templates = {};
+    for (const [id, defaults] of Object.entries(PROMPT_TEMPLATES)) {
+      const effective = await getPromptTemplate(id);
+      templates[id] = {
+        description: defaults.description,
+        variables: defaults.variables,
+        defaultVersion: defaults.version,
+        version: effective.version,
+        system: effective.system,
+        user: effective.user,
+        defaultSystem: defaults.system,
+        defaultUser: defaults.user,
+      };
+    }
+    return templates;
+  }
+
   /**
    * Manually clear all cached product images
    */
@@ -814,6 +3650,13 @@ class StyleMeBackgroundService {
     }
   }
 
+  /**
+   * Get image-capable models, cached for the lifetime of the service worker
+   */
+  async getImageModels() {
+    return await getImageModels();
+  }
+
   /**
    * Get information about the current cache status
    */
@@ -848,7 +3691,7 @@ class StyleMeBackgroundService {
           try {
             await chrome.scripting.executeScript({
               target: { tabId: tab.id },
-              files: ['content/content.js'],
+              files: ['content/site-adapters.js', 'content/content.js'],
             });
             console.log('Content script injected successfully');
 
@@ -896,68 +3739,230 @@ class StyleMeBackgroundService {
    * Handle Style Me request from content script with product data
    */
   async handleStyleMeRequestWithData(data, tabId) {
+    const generationId = data.generationId || `${tabId}-${Date.now()}`;
+
     try {
-      console.log(
-        '🚀 Starting Style Me request with progressive outfit generation...'
-      );
+      // Persist the request first so it survives the worker being terminated
+      await this.jobQueue.enqueue({ id: generationId, tabId, data });
+      if (!this.jobQueue.running.has(generationId)) {
+        this.sendProgressToTab(tabId, {
+          message: 'Waiting for other try-ons to finish...',
+        });
+      }
+    } catch (error) {
+      console.error('Error queueing Style Me request:', error);
+      this.sendErrorToTab(tabId, error.message || 'Failed to generate style');
+    }
+  }
 
-      // Step 1: Retrieve stored data
-      const storedData = await this.retrieveStoredData();
+  /**
+   * Run a queued generation job, see GenerationJobQueue
+   * @param {Object} job - Persisted job with the request data, requesting tab and checkpoints of earlier attempts
+   * @param {{signal: AbortSignal, setState: Function, onCheckpoint: Function}} context - Abort signal, job state setter and checkpoint saver
+   * @returns {Promise<{generatedImage: string, candidates: Array<string>, promptVersions: Object}>} - First generated image, all candidates and the prompt template versions used
+   */
+  async runGenerationJob(job, { signal, setState, onCheckpoint }) {
+    const { data, tabId } = job;
+    const promptVersions = {};
 
-      if (!storedData.apiKey || !storedData.userImage) {
-        this.sendErrorToTab(
-          tabId,
-          'Missing API key or user image. Please configure the extension first.'
-        );
-        return;
-      }
+    console.log(
+      '🚀 Starting Style Me request with progressive outfit generation...'
+    );
+
+    // Step 1: Retrieve stored data
+    const storedData = await this.retrieveStoredData();
 
-      // Step 2: Prepare products array for progressive generation
-      const products = data.products;
-      const userImage = data.userImage ?? storedData.userImage;
+    if (!storedData.userImage) {
+      throw new Error(
+        'Missing API key or user image. Please configure the extension first.'
+      );
+    }
 
-      // Step 3: Generate outfit progressively using the new function
-      console.log('🎨 Generating outfit progressively...');
-      const generatedImage = await generateOutfitImage(
-        storedData.apiKey,
-        userImage,
-        products
+    // Check spend against the user's budgets before calling any model
+    const budget = await checkBudget();
+    if (budget.exceeded) {
+      if (budget.mode === 'block') {
+        throw new Error(`${budget.message} Generation blocked.`);
+      }
+      await setState('confirming');
+      const confirmed = await this.confirmWithTab(
+        tabId,
+        `${budget.message}\n\nGenerate anyway?`,
+        { signal }
       );
+      signal.throwIfAborted();
+      if (!confirmed) {
+        throw new Error(`${budget.message} Generation cancelled.`);
+      }
+      await setState('extracting');
+    }
+
+    // Primary provider first, then the configured fallback chain
+    const candidates = [
+      {
+        label: storedData.providerConfig.provider,
+        config: storedData.providerConfig,
+        stages: getProviderStageSettings(
+          storedData.stageSettings,
+          storedData.providerConfig.provider
+        ),
+        paid: false,
+      },
+      ...(await buildFallbackCandidates(
+        storedData.fallbackChain,
+        storedData.stageSettings
+      )),
+    ];
 
-      if (!generatedImage) {
-        throw new Error('Failed to generate outfit. Please try again.');
+    // Step 2: Prepare products array for progressive generation
+    const products = data.products;
+    const userImage = data.userImage ?? storedData.userImage;
+
+    // Step 3: Generate outfit progressively using the new function
+    console.log('🎨 Generating outfit progressively...');
+    const generatedImages = await generateOutfitWithFallback(
+      candidates,
+      userImage,
+      products,
+      {
+        onFallback: async (candidate, error) => {
+          if (candidate.paid && storedData.confirmPaidFallback) {
+            // The next candidate sets the stage again once it starts
+            await setState('confirming');
+            const confirmed = await this.confirmFallbackWithTab(
+              tabId,
+              candidate,
+              error,
+              { signal }
+            );
+            signal.throwIfAborted();
+            if (!confirmed) return false;
+          }
+          this.sendProgressToTab(tabId, {
+            message: `Falling back to ${candidate.label}...`,
+          });
+          return true;
+        },
+        onRetry: ({ attempt, maxAttempts, delayMs, error }) => {
+          const reason =
+            error.kind === 'rate_limit' ? 'Rate limited' : 'Request failed';
+          this.sendProgressToTab(tabId, {
+            message: `${reason}, retrying in ${Math.ceil(
+              delayMs / 1000
+            )}s (attempt ${attempt + 1}/${maxAttempts})...`,
+            attempt: attempt + 1,
+            maxAttempts,
+          });
+        },
+        onProductFailed: (product) => {
+          this.sendProgressToTab(tabId, {
+            message: `Couldn't load ${product.name}, continuing without it...`,
+          });
+        },
+        onPreview: (preview) => this.sendPreviewToTab(tabId, preview),
+        onPromptVersion: (templateId, version) => {
+          promptVersions[templateId] = version;
+        },
+        onStageChange: setState,
+        checkpoints: job.checkpoints || {},
+        onCheckpoint,
+        extractionConcurrency: storedData.extractionConcurrency,
+        mode: storedData.generationMode,
+        instructions: data.instructions,
+        variations: storedData.variations,
+        signal,
       }
+    );
+
+    if (!generatedImages || generatedImages.length === 0) {
+      throw new Error('Failed to generate outfit. Please try again.');
+    }
+
+    // Keep track of which prompt versions produced this result
+    await this.jobQueue.updateJob(job.id, { promptVersions });
+
+    return {
+      generatedImage: generatedImages[0],
+      candidates: generatedImages,
+      promptVersions,
+    };
+  }
 
+  /**
+   * Send the outcome of a finished generation job to the requesting tab
+   * A result the tab doesn't take stays on the job until a sidebar asks for it
+   * @param {Object} job - Finished job, done jobs carry their `result`
+   */
+  async handleJobFinished(job) {
+    if (job.state === 'done') {
       // Step 4: Send success response to content script
-      this.sendSuccessToTab(tabId, generatedImage);
-    } catch (error) {
-      console.error('Error handling Style Me request:', error);
-      this.sendErrorToTab(tabId, error.message || 'Failed to generate style');
+      const { result } = job;
+      const delivered = await this.sendSuccessToTab(
+        job.tabId,
+        result.generatedImage,
+        result.promptVersions,
+        result.candidates
+      );
+      if (delivered) {
+        await this.jobQueue.markDelivered(job.id);
+      }
+    } else if (job.cancelled) {
+      console.log(`Style Me request ${job.id} cancelled`);
+      this.sendCancelledToTab(job.tabId, job.id);
+    } else {
+      console.error('Error handling Style Me request:', job.error);
+      this.sendErrorToTab(job.tabId, job.error);
+    }
+  }
+
+  /**
+   * Cancel a queued or in-flight generation
+   * @param {string} generationId - Id sent by the content script with STYLE_ME_CLICKED
+   * @returns {Promise<boolean>} - True when the generation was cancelled
+   */
+  async cancelGeneration(generationId) {
+    console.log(`Cancelling Style Me request ${generationId}...`);
+    const cancelled = await this.jobQueue.cancel(generationId);
+    if (!cancelled) {
+      console.warn(`No pending generation to cancel: ${generationId}`);
     }
+    return cancelled;
   }
 
   /**
-   * Retrieve stored API key and user image
+   * Retrieve stored provider settings and user image
    */
   async retrieveStoredData() {
     try {
       const result = await chrome.storage.local.get([
-        'openRouterApiKey',
+        'imageProvider',
+        'forceMockProvider',
+        'stageSettings',
+        'fallbackChain',
+        'confirmPaidFallback',
+        'extractionConcurrency',
+        'generationMode',
+        'variations',
         'userImage',
       ]);
 
-      if (!result.openRouterApiKey) {
-        throw new Error(
-          'API key not found. Please configure the extension first.'
-        );
-      }
-
       if (!result.userImage) {
         throw new Error('User image not found. Please upload a photo first.');
       }
 
+      // Debug flag that swaps in the offline mock provider regardless of settings
+      const providerId = result.forceMockProvider
+        ? 'mock'
+        : result.imageProvider || DEFAULT_IMAGE_PROVIDER;
+
       return {
-        apiKey: result.openRouterApiKey,
+        providerConfig: await loadProviderConfig(providerId),
+        stageSettings: result.stageSettings || {},
+        fallbackChain: result.fallbackChain || [],
+        confirmPaidFallback: result.confirmPaidFallback !== false,
+        extractionConcurrency: result.extractionConcurrency || null,
+        generationMode: result.generationMode || 'single',
+        variations: result.variations || 1,
         userImage: result.userImage,
       };
     } catch (error) {
@@ -968,24 +3973,120 @@ class StyleMeBackgroundService {
 
   /**
    * Send success response to content script
+   * @returns {Promise<boolean>} - True when the tab received the result
    */
-  sendSuccessToTab(tabId, generatedImage) {
+  async sendSuccessToTab(
+    tabId,
+    generatedImage,
+    promptVersions = {},
+    candidates
+  ) {
     try {
-      chrome.tabs.sendMessage(tabId, {
+      const response = await chrome.tabs.sendMessage(tabId, {
         type: 'STYLE_ME_SUCCESS',
         generatedImage: generatedImage,
+        promptVersions,
+        candidates: candidates || [generatedImage],
       });
+      return Boolean(response && response.success);
     } catch (error) {
       console.error('Error sending success message to tab:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Ask the user in the tab to confirm an action
+   * Unanswered prompts count as declined after CONFIRM_TIMEOUT_MS so the job doesn't hold its slot
+   * @param {{signal?: AbortSignal}} [options] - Cancelling the job stops waiting for an answer
+   * @returns {Promise<boolean>} - True when the user confirmed
+   */
+  async confirmWithTab(tabId, text, { signal } = {}) {
+    let timer;
+    let onAbort;
+    try {
+      const response = await Promise.race([
+        chrome.tabs.sendMessage(tabId, {
+          type: 'CONFIRM_ACTION',
+          text,
+        }),
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, CONFIRM_TIMEOUT_MS, null);
+          onAbort = () => resolve(null);
+          signal?.addEventListener('abort', onAbort, { once: true });
+        }),
+      ]);
+      return Boolean(response && response.confirmed);
+    } catch (error) {
+      console.error('Error asking tab to confirm action:', error);
+      return false;
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Ask the user in the tab whether to fall back to a paid model
+   * @returns {Promise<boolean>} - True when the user confirmed
+   */
+  async confirmFallbackWithTab(tabId, candidate, error, options) {
+    const reason = error ? error.message.slice(0, 200) : 'unknown error';
+    return await this.confirmWithTab(
+      tabId,
+      `Try-on failed (${reason}).\n\nFall back to the paid model ${candidate.label}?`,
+      options
+    );
+  }
+
+  /**
+   * Send progress update (e.g. retry attempts) to content script
+   */
+  async sendProgressToTab(tabId, progress) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'STYLE_ME_PROGRESS',
+        ...progress,
+      });
+    } catch (error) {
+      console.error('Error sending progress message to tab:', error);
+    }
+  }
+
+  /**
+   * Send an intermediate layering result to content script
+   */
+  async sendPreviewToTab(tabId, preview) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'STYLE_ME_PREVIEW',
+        ...preview,
+      });
+    } catch (error) {
+      console.error('Error sending preview message to tab:', error);
+    }
+  }
+
+  /**
+   * Tell the content script a generation was cancelled
+   */
+  async sendCancelledToTab(tabId, generationId) {
+    try {
+      await chrome.tabs.sendMessage(tabId, {
+        type: 'STYLE_ME_CANCELLED',
+        generationId,
+      });
+    } catch (error) {
+      console.error('Error sending cancelled message to tab:', error);
     }
   }
 
   /**
    * Send error response to content script
    */
-  sendErrorToTab(tabId, errorMessage) {
+  async sendErrorToTab(tabId, errorMessage) {
     try {
-      chrome.tabs.sendMessage(tabId, {
+      await chrome.tabs.sendMessage(tabId, {
         type: 'STYLE_ME_ERROR',
         error: errorMessage,
       });
@@ -1,7 +1,7 @@
 /**
  * Style Me Chrome Extension - Content Script
  * Injects "Try On" buttons on product images and manages sidebar functionality
- * Supports: Myntra
+ * Site-specific selectors and extraction live in site-adapters.js
  */
 
 class StyleMeContentScript {
@@ -9,9 +9,14 @@ class StyleMeContentScript {
     this.sidebar = null;
     this.sidebarOpen = false;
     this.savedProducts = [];
-    this.currentSite = this.detectSite();
+    this.siteAdapter = getSiteAdapter(window.location.hostname);
+    this.currentSite = this.siteAdapter.id;
     this.processedRequests = new Set(); // Track processed requests to prevent infinite loops
     this.tempUserImage = null; // Initialize tempUserImage
+    this.currentGenerationId = null; // In-flight generation that can be cancelled
+    this.stageSettings = {}; // Stage model/temperature overrides keyed by provider id
+    this.stageSettingsProvider = null; // Provider whose stage settings the inputs show
+    this.cardImages = new WeakMap(); // Product card -> image its Try On button uses
     this.buttonStyle = `
       position: absolute;
       top: 8px;
@@ -40,6 +45,7 @@ class StyleMeContentScript {
     this.loadSavedProducts();
     this.injectButtons();
     this.setupMutationObserver();
+    this.siteAdapter.watchCards((card) => this.refreshCardImage(card));
 
     // Add periodic check to ensure all cards get buttons
     this.setupPeriodicCheck();
@@ -47,13 +53,6 @@ class StyleMeContentScript {
     console.log(`Style Me initialized on ${this.currentSite}`);
   }
 
-  /**
-   * Initialize for Myntra
-   */
-  detectSite() {
-    return 'myntra';
-  }
-
   /**
    * Setup message listener for background script communication
    */
@@ -88,11 +87,29 @@ class StyleMeContentScript {
           sendResponse({ success: true });
           break;
         case 'STYLE_ME_SUCCESS':
-          this.handleStyleSuccess(message.generatedImage);
+          this.handleStyleSuccess(
+            message.generatedImage,
+            message.promptVersions,
+            message.candidates
+          );
+          // Tells the background the result arrived, otherwise it keeps it for the sidebar
+          sendResponse({ success: true });
           break;
         case 'STYLE_ME_ERROR':
           this.handleStyleError(message.error);
           break;
+        case 'STYLE_ME_PROGRESS':
+          this.updateLoadingToast(message.message);
+          break;
+        case 'STYLE_ME_PREVIEW':
+          this.showLayerPreview(message);
+          break;
+        case 'STYLE_ME_CANCELLED':
+          this.handleStyleCancelled(message.generationId);
+          break;
+        case 'CONFIRM_ACTION':
+          sendResponse({ confirmed: confirm(message.text) });
+          break;
         default:
           sendResponse({ success: false, error: 'Unknown message type' });
       }
@@ -100,316 +117,36 @@ class StyleMeContentScript {
   }
 
   /**
-   * Get product card selectors for Myntra
+   * Get product card selectors for the current site
    */
   getProductCardSelectors() {
-    const selectors = [
-      // Primary product card selectors
-      '.product-base', // Product card on listing pages
-      '.pdp-product', // Product card on product detail page
-      '.product-card', // Alternative product card
-      '.product-tile', // Product tile
-
-      // Product cards with product ID
-      '.product-base[data-productid]', // Product base with ID
-      '.product-card[data-productid]', // Product card with ID
-      '.product-tile[data-productid]', // Product tile with ID
-
-      // Alternative product card classes
-      '.product-base[data-productid]:not([data-productid=""])', // Product base with non-empty ID
-      '.product-card[data-productid]:not([data-productid=""])', // Product card with non-empty ID
-      '.product-tile[data-productid]:not([data-productid=""])', // Product tile with non-empty ID
-
-      // Grid and list item selectors
-      '.product-base.product-card', // Product base with card class
-      '.product-base.product-tile', // Product base with tile class
-      '.product-card.product-tile', // Product card with tile class
-
-      // Search result specific selectors
-      '.product-base[data-testid*="product"]', // Product base with test ID
-      '.product-card[data-testid*="product"]', // Product card with test ID
-      '.product-tile[data-testid*="product"]', // Product tile with test ID
-
-      // Alternative layout selectors
-      '.product-base.product-card[data-productid]', // Complex product base with ID
-      '.product-card.product-tile[data-productid]', // Complex product card with ID
-      '.product-base.product-tile[data-productid]', // Complex product base with tile and ID
-
-      // Generic product containers
-      '[data-productid]:not([data-productid=""])', // Any element with non-empty product ID
-      '.product', // Generic product class
-      '.product-item', // Generic product item class
-      '.product-container', // Generic product container
-
-      // Category and listing page selectors
-      '.product-base[data-category]', // Product base with category
-      '.product-card[data-category]', // Product card with category
-      '.product-tile[data-category]', // Product tile with category
-
-      // Brand specific selectors
-      '.product-base[data-brand]', // Product base with brand
-      '.product-card[data-brand]', // Product card with brand
-      '.product-tile[data-brand]', // Product tile with brand
-
-      // Price range selectors
-      '.product-base[data-price-range]', // Product base with price range
-      '.product-card[data-price-range]', // Product card with price range
-      '.product-tile[data-price-range]', // Product tile with price range
-    ];
-
-    return selectors;
-  }
-
-  /**
-   * Get product image selectors for Myntra
+    return this.siteAdapter.getProductCardSelectors();
+  }
+
+  /**
+   * Get product image selectors for the current site
    */
   getProductImageSelectors() {
-    const selectors = [
-      // Primary product image selectors
-      '.product-image img', // Standard product images
-      '.product-imageSlider img', // Product slider images
-
-      // Myntra CDN image selectors
-      'img[src*="assets.myntassets.com"]', // Main assets CDN
-      'img[src*="myntra.com"]', // Myntra domain images
-      'img[src*="myntraassets.com"]', // Alternative assets CDN
-      'img[src*="myntra.net"]', // Alternative domain
-
-      // Alternative image selectors
-      'img[alt*="product"]', // Images with product in alt text
-      'img[alt*="Product"]', // Images with Product in alt text
-      'img[alt*="image"]', // Images with image in alt text
-      'img[alt*="Image"]', // Images with Image in alt text
-
-      // Specific image classes
-      '.product-image', // Product image container
-      '.product-imageSlider', // Product slider container
-      '.product-base img', // Product base images
-      '.product-card img', // Product card images
-      '.product-tile img', // Product tile images
-
-      // Image container selectors
-      '.product-image[style*="background-image"]', // Background image containers
-      '.product-imageSlider[style*="background-image"]', // Slider background containers
-
-      // Product detail page images
-      '.pdp-image img', // Product detail page images
-      '.pdp-imageSlider img', // Product detail slider images
-      '.product-sliderContainer img', // Product slider container images
-
-      // Generic product images
-      'img[src*="product"]', // Any image with product in URL
-      'img[src*="Product"]', // Any image with Product in URL
-      'img[src*="item"]', // Any image with item in URL
-      'img[src*="Item"]', // Any image with Item in URL
-
-      // Search result specific images
-      '.product-base img', // Product base images
-      '.product-card img', // Product card images
-      '.product-tile img', // Product tile images
-
-      // Alternative image containers
-      '.image-grid-image', // Image grid images
-      '.image-grid-imageContainer img', // Image grid container images
-    ];
-
-    return selectors;
-  }
-
-  /**
-   * Collect all images from image sliders in a product card
-   * @param {Element} productCard - The product card element
-   * @returns {Array<string>} - Array of image URLs
-   */
-  collectAllSliderImages(productCard) {
-    const allImages = [];
-
-    // Try to find image sliders first
-    const sliderSelectors = [
-      '.product-imageSlider img',
-      '.pdp-imageSlider img',
-      '.product-sliderContainer img',
-      '.image-grid-image img',
-      '.image-grid-imageContainer img',
-      '.product-image img',
-      '.pdp-image img',
-    ];
-
-    // Collect all images from sliders
-    for (const selector of sliderSelectors) {
-      const images = productCard.querySelectorAll(selector);
-      if (images.length > 0) {
-        images.forEach((img) => {
-          if (img.src && !allImages.includes(img.src)) {
-            allImages.push(img.src);
-          }
-        });
-        break; // Use the first slider that has images
-      }
-    }
-
-    // If no slider images found, try to find any product images
-    if (allImages.length === 0) {
-      const fallbackSelectors = [
-        'img[src*="assets.myntassets.com"]',
-        'img[src*="myntra.com"]',
-        'img[src*="myntraassets.com"]',
-        'img[src*="myntra.net"]',
-        'img[alt*="product"]',
-        'img[alt*="Product"]',
-      ];
-
-      for (const selector of fallbackSelectors) {
-        const images = productCard.querySelectorAll(selector);
-        if (images.length > 0) {
-          images.forEach((img) => {
-            if (img.src && !allImages.includes(img.src)) {
-              allImages.push(img.src);
-            }
-          });
-          break;
-        }
-      }
-    }
-
-    // Filter out duplicate URLs and ensure we have valid images
-    const uniqueImages = [...new Set(allImages)].filter(
-      (url) =>
-        url && url.trim() && !url.includes('data:') && url.startsWith('http')
-    );
-
-    console.log(`Collected ${uniqueImages.length} images for product`);
-    return uniqueImages;
+    return this.siteAdapter.getProductImageSelectors();
   }
 
   /**
    * Create a composite image from multiple product images
+   * The canvas work runs in the extension's offscreen document, not on the page
    * @param {Array<string>} imageUrls - Array of image URLs
    * @returns {Promise<string>} - Base64 data URL of composite image
    */
   async createCompositeImage(imageUrls) {
-    return new Promise((resolve, reject) => {
-      try {
-            // No padding between images
-            const imagesPerRow = 3;
-            const imageWidth = 240; // Use a fixed width for each image
-            const imageHeight = 240; // Use a fixed height for each image (square for no gaps)
-            const rows = Math.ceil(imageUrls.length / imagesPerRow);
-            const totalWidth = imagesPerRow * imageWidth;
-            const totalHeight = rows * imageHeight;
-
-            // Create canvas
-            const canvas = document.createElement('canvas');
-            const ctx = canvas.getContext('2d');
-            canvas.width = totalWidth;
-            canvas.height = totalHeight;
-
-            // Fill background (optional, can be transparent if you want)
-            ctx.fillStyle = '#fff';
-            ctx.fillRect(0, 0, totalWidth, totalHeight);
-
-            let loadedImages = 0;
-            const totalImages = imageUrls.length;
-
-            imageUrls.forEach((url, index) => {
-              const img = new Image();
-              img.crossOrigin = 'anonymous';
-
-              img.onload = () => {
-                // Calculate position in grid (no padding)
-                const row = Math.floor(index / imagesPerRow);
-                const col = index % imagesPerRow;
-                const x = col * imageWidth;
-                const y = row * imageHeight;
-
-                // Draw image to fill the cell, cropping if necessary to maintain quality and fill
-                // Calculate aspect ratio and crop to fill the cell
-                const cellAR = imageWidth / imageHeight;
-                const imgAR = img.width / img.height;
-                let sx = 0,
-                  sy = 0,
-                  sw = img.width,
-                  sh = img.height;
-
-                if (imgAR > cellAR) {
-                  // Image is wider than cell, crop sides
-                  sw = img.height * cellAR;
-                  sx = (img.width - sw) / 2;
-                } else if (imgAR < cellAR) {
-                  // Image is taller than cell, crop top/bottom
-                  sh = img.width / cellAR;
-                  sy = (img.height - sh) / 2;
-                }
-                ctx.drawImage(
-                  img,
-                  sx,
-                  sy,
-                  sw,
-                  sh,
-                  x,
-                  y,
-                  imageWidth,
-                  imageHeight
-                );
-
-                loadedImages++;
-                if (loadedImages === totalImages) {
-                  try {
-                    // Use PNG for lossless quality
-                    const compositeBase64 = canvas.toDataURL('image/png');
-                    resolve(compositeBase64);
-                  } catch (error) {
-                    console.error('Error converting canvas to base64:', error);
-                    reject(error);
-                  }
-                }
-              };
-
-              img.onerror = () => {
-                console.warn(`Failed to load image: ${url}`);
-                loadedImages++;
-
-                // Draw placeholder for failed image
-                const row = Math.floor(index / imagesPerRow);
-                const col = index % imagesPerRow;
-                const x = col * imageWidth;
-                const y = row * imageHeight;
-
-                ctx.fillStyle = '#e9ecef';
-                ctx.fillRect(x, y, imageWidth, imageHeight);
-                ctx.fillStyle = '#6c757d';
-                ctx.font = '14px Arial';
-                ctx.textAlign = 'center';
-                ctx.textBaseline = 'middle';
-                ctx.fillText(
-                  'Image Failed',
-                  x + imageWidth / 2,
-                  y + imageHeight / 2
-                );
-
-                if (loadedImages === totalImages) {
-                  try {
-                    const compositeBase64 = canvas.toDataURL('image/png');
-                    resolve(compositeBase64);
-                  } catch (error) {
-                    console.error('Error converting canvas to base64:', error);
-                    reject(error);
-                  }
-                }
-              };
-
-              img.src = url;
-            });
-
-            // Handle case where no images load
-            if (totalImages === 0) {
-              resolve(canvas.toDataURL('image/png'));
-            }
-          } catch (error) {
-        console.error('Error creating composite image:', error);
-        reject(error);
-      }
+    const response = await chrome.runtime.sendMessage({
+      type: 'COMPOSITE_IMAGES',
+      imageUrls,
     });
+    if (!response || !response.success) {
+      throw new Error(
+        (response && response.error) || 'Failed to create composite image'
+      );
+    }
+    return response.imageUrl;
   }
 
   /**
@@ -418,8 +155,12 @@ class StyleMeContentScript {
   async getProductInfo(imgElement) {
     let productName = 'Product';
     let productPrice = '';
+    let productBrand = '';
+    let productColor = '';
+    let productVariants = [];
     let imageUrl = '';
     let allImages = [];
+    let articleType = '';
 
     // Extract image URL
     if (imgElement.src) {
@@ -432,13 +173,14 @@ class StyleMeContentScript {
     }
 
     // Find the product card containing this image
-    const productCard = imgElement.closest(
-      this.getProductCardSelectors().join(',')
-    );
+    const productCard = this.siteAdapter.findProductCard(imgElement);
 
     if (productCard) {
-      // Collect all slider images
-      allImages = this.collectAllSliderImages(productCard);
+      const details = await this.siteAdapter.getProductDetails(productCard);
+
+      // Collect all gallery images
+      allImages = details.images;
+      console.log(`Collected ${allImages.length} images for product`);
 
       // If we have multiple images, create a composite image and use it as the main image
       if (allImages.length > 1) {
@@ -467,90 +209,59 @@ class StyleMeContentScript {
         imageUrl = allImages[0];
       }
 
-      // Extract product information from Myntra product card
-      // Try multiple title selectors for better coverage
-      const myntraTitleSelectors = [
-        '.product-product', // Product name
-        '.product-name', // Product name
-        '.product-brand', // Product brand
-        'h3', // Heading 3
-        'h4', // Heading 4
-        'h5', // Heading 5
-        '.product-base .product-product', // Product base with product
-        '.product-card .product-product', // Product card with product
-        '.product-tile .product-product', // Product tile with product
-        '.product-base .product-name', // Product base with name
-        '.product-card .product-name', // Product card with name
-        '.product-tile .product-name', // Product tile with name
-        '.product-base .product-brand', // Product base with brand
-        '.product-card .product-brand', // Product card with brand
-        '.product-tile .product-brand', // Product tile with brand
-        '.product-title', // Generic product title
-        '.item-title', // Generic item title
-        '.title', // Generic title
-        'a[title]', // Link with title attribute
-        '.product-base a[title]', // Product base link with title
-        '.product-card a[title]', // Product card link with title
-        '.product-tile a[title]', // Product tile link with title
-      ];
-
-      let myntraTitle = null;
-      for (const selector of myntraTitleSelectors) {
-        myntraTitle = productCard.querySelector(selector);
-        if (myntraTitle && myntraTitle.textContent.trim()) {
-          break;
-        }
-      }
-
-      if (myntraTitle) {
-        productName = myntraTitle.textContent.trim().substring(0, 50);
-      }
-
-      // Try multiple price selectors for better coverage
-      const myntraPriceSelectors = [
-        '.product-discountedPrice', // Discounted price
-        '.product-price', // Product price
-        '.price', // Generic price
-        '.product-base .product-discountedPrice', // Product base with discounted price
-        '.product-card .product-discountedPrice', // Product card with discounted price
-        '.product-tile .product-discountedPrice', // Product tile with discounted price
-        '.product-base .product-price', // Product base with price
-        '.product-card .product-price', // Product card with price
-        '.product-tile .product-price', // Product tile with price
-        '.discount-price', // Discount price
-        '.original-price', // Original price
-        '.current-price', // Current price
-        '.sale-price', // Sale price
-        '.offer-price', // Offer price
-        '.final-price', // Final price
-      ];
-
-      let myntraPrice = null;
-      for (const selector of myntraPriceSelectors) {
-        myntraPrice = productCard.querySelector(selector);
-        if (myntraPrice && myntraPrice.textContent.trim()) {
-          break;
-        }
-      }
-
-      if (myntraPrice) {
-        productPrice = myntraPrice.textContent.trim();
+      if (details.name) {
+        productName = details.name.substring(0, 50);
       }
+      productBrand = details.brand;
+      productColor = details.color;
+      productPrice = details.price;
+      productVariants = details.variants || [];
+      articleType = details.articleType;
     }
 
+    // Category drives the extraction/placement prompts and layering order
+    const category = await this.detectGarmentCategory({
+      name: productName,
+      articleType,
+    });
+
     return {
       name: productName,
+      brand: productBrand,
+      color: productColor,
+      variants: productVariants,
       price: productPrice,
       image: imageUrl,
       allImages: allImages,
       imageCount: allImages.length,
+      site: this.currentSite,
+      articleType,
+      category,
     };
   }
 
+  /**
+   * Ask the background script for the garment category of a product
+   * @returns {Promise<string|null>} - Category id, or null when detection failed
+   */
+  async detectGarmentCategory(product) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DETECT_GARMENT_CATEGORY',
+        product,
+      });
+      return response && response.success ? response.category : null;
+    } catch (error) {
+      console.warn('Failed to detect garment category:', error);
+      return null;
+    }
+  }
+
   /**
    * Inject "Try On" buttons on product cards
    */
   injectButtons() {
+    this.siteAdapter.prepareCards();
     const cardSelectors = this.getProductCardSelectors();
     const imageSelectors = this.getProductImageSelectors();
 
@@ -586,8 +297,8 @@ class StyleMeContentScript {
             totalButtonsAdded++;
           } else {
             console.log(`No suitable image found in card ${index}`);
-            // Debug Myntra cards without images
-            console.log(`Myntra card ${index} contents:`, {
+            // Debug cards without images
+            console.log(`${this.currentSite} card ${index} contents:`, {
               hasProductId: card.hasAttribute('data-productid'),
               productIdValue: card.getAttribute('data-productid'),
               hasImages: card.querySelectorAll('img').length,
@@ -691,11 +402,12 @@ class StyleMeContentScript {
     });
 
     // Add click handlers
+    this.cardImages.set(productCard, productImage);
     tryOnBtn.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
 
-      this.handleSaveClick(productImage);
+      this.handleSaveClick(this.cardImages.get(productCard));
     });
 
     // Add buttons to container
@@ -703,6 +415,24 @@ class StyleMeContentScript {
     productCard.appendChild(buttonContainer);
   }
 
+  /**
+   * Point a card's Try On button at its current image after the page swapped it,
+   * e.g. for another colour
+   * @param {Element} card - Product card reported by the site adapter
+   */
+  refreshCardImage(card) {
+    if (!this.cardImages.has(card)) return;
+
+    const productImage = this.findBestProductImage(
+      card,
+      this.getProductImageSelectors()
+    );
+    if (productImage) {
+      console.log('Product image changed:', productImage.src);
+      this.cardImages.set(card, productImage);
+    }
+  }
+
   /**
    * Handle Save button click
    */
@@ -908,12 +638,152 @@ class StyleMeContentScript {
         <div style="background: rgba(255,255,255,0.1); padding: 20px; border-radius: 12px; margin-bottom: 20px;">
           <h3 style="margin: 0 0 15px 0; font-size: 18px; font-weight: 600;">🔑 Settings</h3>
           
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Image Provider:</label>
+            <select id="provider-select"
+                    style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+              <option value="openrouter">OpenRouter</option>
+              <option value="gemini">Google Gemini</option>
+              <option value="huggingface">Hugging Face (Virtual Try-On model)</option>
+              <option value="custom">Self-hosted (OpenAI-compatible)</option>
+              <option value="mock">Mock (offline demo, no API calls)</option>
+            </select>
+          </div>
+
           <div style="margin-bottom: 15px;">
             <label style="display: block; margin-bottom: 5px; font-weight: 500;">OpenRouter API Key:</label>
             <input type="password" id="api-key-input" placeholder="Enter your API key" 
                    style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
           </div>
 
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Google Gemini API Key:</label>
+            <input type="password" id="gemini-api-key-input" placeholder="Enter your Gemini API key" 
+                   style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Hugging Face Access Token:</label>
+            <input type="password" id="hf-api-key-input" placeholder="hf_..." 
+                   style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <input type="text" id="hf-model-input" placeholder="Model name (optional, for usage stats)" 
+                   style="width: 100%; padding: 10px; margin-top: 8px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <input type="text" id="hf-endpoint-input" placeholder="Try-on endpoint URL (Inference Endpoint or Space)" 
+                   style="width: 100%; padding: 10px; margin-top: 8px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <p style="margin: 5px 0 0 0; font-size: 11px; opacity: 0.7;">Serverless Hugging Face inference has no try-on models. Deploy one (e.g. IDM-VTON) that accepts person_image, garment_image and garment_description and returns an image.</p>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Self-hosted Endpoint:</label>
+            <input type="text" id="custom-base-url-input" placeholder="Base URL (e.g. http://localhost:4000/v1)" 
+                   style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <input type="text" id="custom-model-input" placeholder="Model name" 
+                   style="width: 100%; padding: 10px; margin-top: 8px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <input type="text" id="custom-auth-header-input" placeholder="Auth header (default: Authorization)" 
+                   style="width: 100%; padding: 10px; margin-top: 8px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <input type="password" id="custom-api-key-input" placeholder="API key (optional)" 
+                   style="width: 100%; padding: 10px; margin-top: 8px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Extraction Model &amp; Temperature:</label>
+            <div style="display: flex; gap: 8px;">
+              <input type="text" id="extraction-model-input" list="image-model-options" placeholder="Provider default" 
+                     style="flex: 1; min-width: 0; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+              <input type="number" id="extraction-temperature-input" min="0" max="2" step="0.1" placeholder="0.2" 
+                     style="width: 70px; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            </div>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Composition Model &amp; Temperature:</label>
+            <div style="display: flex; gap: 8px;">
+              <input type="text" id="composition-model-input" list="image-model-options" placeholder="Provider default" 
+                     style="flex: 1; min-width: 0; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+              <input type="number" id="composition-temperature-input" min="0" max="2" step="0.1" placeholder="0.2" 
+                     style="width: 70px; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            </div>
+            <datalist id="image-model-options"></datalist>
+            <p id="model-list-status" style="margin: 5px 0 0 0; font-size: 11px; opacity: 0.7;">Loading image models...</p>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Outfit Generation:</label>
+            <select id="generation-mode-select" 
+                    style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+              <option value="single">All items in one step (faster)</option>
+              <option value="layered">Layer items one at a time (previews each step)</option>
+            </select>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Variations:</label>
+            <input type="number" id="variations-input" min="1" max="4" step="1" placeholder="1" 
+                   style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <p style="margin: 5px 0 0 0; font-size: 11px; opacity: 0.7;">Candidate images per try-on to pick from. Each one is a separate model call.</p>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Parallel Extractions:</label>
+            <input type="number" id="extraction-concurrency-input" min="1" max="8" step="1" placeholder="3" 
+                   style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <p style="margin: 5px 0 0 0; font-size: 11px; opacity: 0.7;">Product images extracted at the same time. Lower it if you hit rate limits.</p>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Max Image Size (px):</label>
+            <input type="number" id="image-max-edge-input" min="512" max="4096" step="64" placeholder="1536" 
+                   style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+            <p style="margin: 5px 0 0 0; font-size: 11px; opacity: 0.7;">Photos are scaled down to this longest edge before upload. Larger is sharper but slower.</p>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Fallback Models:</label>
+            <textarea id="fallback-chain-input" rows="3" placeholder="One per line: provider model&#10;openrouter google/gemini-2.5-flash-image-preview&#10;gemini gemini-2.5-flash-image-preview"
+                      style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box; font-family: inherit; resize: vertical;"></textarea>
+            <label style="display: flex; align-items: center; gap: 6px; margin-top: 6px; font-size: 12px;">
+              <input type="checkbox" id="confirm-paid-fallback-input" checked>
+              Ask before falling back to a paid model
+            </label>
+          </div>
+
+          <div style="margin-bottom: 15px;">
+            <label style="display: block; margin-bottom: 5px; font-weight: 500;">Budget (USD):</label>
+            <div style="display: flex; gap: 8px;">
+              <input type="number" id="daily-budget-input" min="0" step="0.01" placeholder="Daily" 
+                     style="flex: 1; min-width: 0; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+              <input type="number" id="monthly-budget-input" min="0" step="0.01" placeholder="Monthly" 
+                     style="flex: 1; min-width: 0; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+              <select id="budget-mode-select"
+                      style="padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+                <option value="warn">Warn</option>
+                <option value="block">Block</option>
+              </select>
+            </div>
+            <p id="usage-summary" style="margin: 5px 0 0 0; font-size: 11px; opacity: 0.7;"></p>
+          </div>
+
+          <details style="margin-bottom: 15px;">
+            <summary style="cursor: pointer; font-weight: 500;">Prompt Templates (advanced)</summary>
+            <select id="prompt-template-select" 
+                    style="width: 100%; padding: 10px; margin-top: 8px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box;">
+              <option value="extraction">Extraction</option>
+              <option value="composition">Composition</option>
+              <option value="layering">Layering</option>
+            </select>
+            <p id="prompt-template-info" style="margin: 5px 0 0 0; font-size: 11px; opacity: 0.7;"></p>
+            <label style="display: block; margin: 8px 0 5px 0; font-size: 12px;">System prompt:</label>
+            <textarea id="prompt-system-input" rows="8" 
+                      style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box; font-family: monospace; font-size: 11px; resize: vertical;"></textarea>
+            <label style="display: block; margin: 8px 0 5px 0; font-size: 12px;">User prompt:</label>
+            <textarea id="prompt-user-input" rows="5" 
+                      style="width: 100%; padding: 10px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box; font-family: monospace; font-size: 11px; resize: vertical;"></textarea>
+            <div style="display: flex; gap: 8px; margin-top: 8px;">
+              <button id="save-prompt-template" style="flex: 1; padding: 8px; background: rgba(255,255,255,0.2); border: none; color: white; border-radius: 6px; cursor: pointer; font-weight: 600;">Save Template</button>
+              <button id="reset-prompt-template" style="flex: 1; padding: 8px; background: rgba(255,255,255,0.2); border: none; color: white; border-radius: 6px; cursor: pointer; font-weight: 600;">Reset to Default</button>
+            </div>
+          </details>
+
           <div style="margin-bottom: 15px;">
             <label style="display: block; margin-bottom: 5px; font-weight: 500;">Your Photo:</label>
             <input type="file" id="user-image-input" accept="image/*" 
@@ -947,6 +817,8 @@ class StyleMeContentScript {
             <div style="text-align: center; padding: 15px; background: rgba(255,255,255,0.1); border-radius: 8px;">
               <h4 style="margin: 0 0 10px 0; font-size: 16px; font-weight: 600;">🎭 Try On Selected Products</h4>
               <p style="margin: 0 0 15px 0; font-size: 13px; opacity: 0.8;">Generate outfit with all selected products</p>
+              <textarea id="styling-instructions-input" rows="2" placeholder="Styling instructions (optional), e.g. tuck the shirt in, roll up the sleeves" 
+                        style="width: 100%; padding: 10px; margin-bottom: 15px; border: none; border-radius: 6px; background: rgba(255,255,255,0.9); color: #333; box-sizing: border-box; font-family: inherit; resize: vertical;"></textarea>
               <button id="try-on-selected-btn" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border: none; color: white; padding: 12px 24px; border-radius: 8px; cursor: pointer; font-size: 14px; font-weight: 600; transition: all 0.3s ease;">
                 ✨ Try On Selected Products
               </button>
@@ -971,7 +843,244 @@ class StyleMeContentScript {
 
     this.setupSidebarEvents();
     this.loadUserSettings();
+    this.loadImageModels();
+    this.loadUsageSummary();
+    this.loadPromptTemplates();
     this.updateSavedProductsList();
+    this.loadUndeliveredResult();
+  }
+
+  /**
+   * Show a try-on that finished while no tab was listening, e.g. after a reload
+   */
+  async loadUndeliveredResult() {
+    // A running generation delivers its own result
+    if (this.currentGenerationId) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_UNDELIVERED_RESULT',
+      });
+      const result = response && response.success && response.result;
+      if (!this.sidebar || !result) return;
+
+      const { generatedImage, promptVersions, candidates } = result;
+      this.handleStyleSuccess(generatedImage, promptVersions, candidates);
+    } catch (error) {
+      console.error('Error loading undelivered result:', error);
+    }
+  }
+
+  /**
+   * Load prompt templates (defaults and overrides) into the template editor
+   */
+  async loadPromptTemplates() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_PROMPT_TEMPLATES',
+      });
+      if (!this.sidebar || !response || !response.success) return;
+
+      this.promptTemplates = response.templates;
+      this.showPromptTemplate();
+    } catch (error) {
+      console.error('Error loading prompt templates:', error);
+    }
+  }
+
+  /**
+   * Show the selected prompt template in the editor
+   */
+  showPromptTemplate() {
+    const id = this.sidebar.querySelector('#prompt-template-select').value;
+    const template = this.promptTemplates && this.promptTemplates[id];
+    if (!template) return;
+
+    this.sidebar.querySelector('#prompt-system-input').value = template.system;
+    this.sidebar.querySelector('#prompt-user-input').value = template.user;
+    this.sidebar.querySelector('#prompt-template-info').textContent =
+      `${template.description}. Version: ${template.version}. ` +
+      `Variables: ${template.variables.map((name) => `{{${name}}}`).join(', ')}`;
+  }
+
+  /**
+   * Save the edited prompt template as an override
+   */
+  async savePromptTemplate() {
+    const id = this.sidebar.querySelector('#prompt-template-select').value;
+    const template = this.promptTemplates && this.promptTemplates[id];
+    if (!template) return;
+
+    const system = this.sidebar.querySelector('#prompt-system-input').value;
+    const user = this.sidebar.querySelector('#prompt-user-input').value;
+
+    try {
+      const { promptOverrides = {} } = await chrome.storage.local.get([
+        'promptOverrides',
+      ]);
+      if (system === template.defaultSystem && user === template.defaultUser) {
+        // Unchanged text is not an override
+        delete promptOverrides[id];
+      } else {
+        promptOverrides[id] = {
+          system,
+          user,
+          baseVersion: template.defaultVersion,
+          updatedAt: Date.now(),
+        };
+      }
+      await chrome.storage.local.set({ promptOverrides });
+      await this.loadPromptTemplates();
+      this.showSuccessToast('Prompt template saved!');
+    } catch (error) {
+      console.error('Error saving prompt template:', error);
+      alert('Error saving prompt template: ' + error.message);
+    }
+  }
+
+  /**
+   * Drop the override of the selected prompt template
+   */
+  async resetPromptTemplate() {
+    const id = this.sidebar.querySelector('#prompt-template-select').value;
+
+    try {
+      const { promptOverrides = {} } = await chrome.storage.local.get([
+        'promptOverrides',
+      ]);
+      delete promptOverrides[id];
+      await chrome.storage.local.set({ promptOverrides });
+      await this.loadPromptTemplates();
+      this.showSuccessToast('Prompt template reset to default');
+    } catch (error) {
+      console.error('Error resetting prompt template:', error);
+      alert('Error resetting prompt template: ' + error.message);
+    }
+  }
+
+  /**
+   * Show the running usage and cost totals in the sidebar
+   */
+  async loadUsageSummary() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'GET_USAGE_SUMMARY',
+      });
+      if (!this.sidebar || !response || !response.success) return;
+
+      const { today, month, dailyBudget, monthlyBudget } = response.summary;
+      const formatSpend = (period, budget) =>
+        `$${period.cost.toFixed(4)}${
+          budget !== null ? ` / $${budget.toFixed(2)}` : ''
+        }`;
+
+      this.sidebar.querySelector('#usage-summary').textContent =
+        `Today: ${formatSpend(today, dailyBudget)} · ` +
+        `This month: ${formatSpend(month, monthlyBudget)} ` +
+        `(${month.tokens.toLocaleString()} tokens, ${month.calls} calls)`;
+    } catch (error) {
+      console.error('Error loading usage summary:', error);
+    }
+  }
+
+  /**
+   * Populate the model pickers with image-capable models from OpenRouter
+   */
+  async loadImageModels() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'LIST_IMAGE_MODELS',
+      });
+      if (!this.sidebar) return;
+
+      const status = this.sidebar.querySelector('#model-list-status');
+      if (!response || !response.success) {
+        status.textContent = 'Could not load models. Type a model name instead.';
+        return;
+      }
+
+      const datalist = this.sidebar.querySelector('#image-model-options');
+      datalist.replaceChildren(
+        ...response.models.map((model) => {
+          const option = document.createElement('option');
+          option.value = model.id;
+          option.textContent = `${model.name}${
+            model.id.endsWith(':free') ? ' (free)' : ''
+          }`;
+          return option;
+        })
+      );
+      status.textContent = `${response.models.length} image models available`;
+    } catch (error) {
+      console.error('Error loading image models:', error);
+    }
+  }
+
+  /**
+   * Parse the fallback chain textarea, one "provider model" entry per line
+   * @param {string} text - Textarea contents
+   * @returns {Array<{provider: string, model?: string}>} - Ordered fallback entries
+   */
+  parseFallbackChain(text) {
+    return text
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [provider, ...modelParts] = line.split(/\s+/);
+        const model = modelParts.join(' ');
+        return model ? { provider, model } : { provider };
+      });
+  }
+
+  /**
+   * Read the model and temperature chosen for a generation stage
+   * @param {string} stage - 'extraction' or 'composition'
+   * @returns {{model?: string, temperature?: number}} - Stage settings
+   */
+  readStageSettings(stage) {
+    const model = this.sidebar
+      .querySelector(`#${stage}-model-input`)
+      .value.trim();
+    const temperature = parseFloat(
+      this.sidebar.querySelector(`#${stage}-temperature-input`).value
+    );
+
+    const settings = {};
+    if (model) {
+      settings.model = model;
+    }
+    if (Number.isFinite(temperature)) {
+      settings.temperature = temperature;
+    }
+    return settings;
+  }
+
+  /**
+   * Fill the stage inputs with the settings saved for a provider
+   * @param {string} providerId - Provider selected in the sidebar
+   */
+  showStageSettings(providerId) {
+    const providerStages = this.stageSettings[providerId] || {};
+    ['extraction', 'composition'].forEach((stage) => {
+      const settings = providerStages[stage] || {};
+      this.sidebar.querySelector(`#${stage}-model-input`).value =
+        settings.model || '';
+      this.sidebar.querySelector(`#${stage}-temperature-input`).value =
+        Number.isFinite(settings.temperature) ? settings.temperature : '';
+    });
+    this.stageSettingsProvider = providerId;
+  }
+
+  /**
+   * Remember the stage inputs for the provider they were entered for
+   */
+  stashStageSettings() {
+    if (!this.stageSettingsProvider) return;
+    this.stageSettings[this.stageSettingsProvider] = {
+      extraction: this.readStageSettings('extraction'),
+      composition: this.readStageSettings('composition'),
+    };
   }
 
   /**
@@ -998,6 +1107,24 @@ class StyleMeContentScript {
       console.error('Save settings button not found!');
     }
 
+    // Stage models are provider-specific, so swap them with the provider
+    const providerSelect = this.sidebar.querySelector('#provider-select');
+    providerSelect.addEventListener('change', () => {
+      this.stashStageSettings();
+      this.showStageSettings(providerSelect.value);
+    });
+
+    // Prompt template editor
+    this.sidebar
+      .querySelector('#prompt-template-select')
+      .addEventListener('change', () => this.showPromptTemplate());
+    this.sidebar
+      .querySelector('#save-prompt-template')
+      .addEventListener('click', () => this.savePromptTemplate());
+    this.sidebar
+      .querySelector('#reset-prompt-template')
+      .addEventListener('click', () => this.resetPromptTemplate());
+
     // Select all products button
     const selectAllBtn = this.sidebar.querySelector('#select-all-products');
     selectAllBtn.addEventListener('click', () => this.selectAllProducts());
@@ -1047,7 +1174,9 @@ class StyleMeContentScript {
     if (!file) return;
 
     try {
-      const base64 = await this.fileToBase64(file);
+      const base64 = await this.normalizeImage(
+        await this.fileToBase64(file)
+      );
 
       // Show preview
       const preview = this.sidebar.querySelector('#user-image-preview');
@@ -1063,6 +1192,26 @@ class StyleMeContentScript {
     }
   }
 
+  /**
+   * Downscale and re-encode an uploaded photo in the background
+   * Falls back to the original image if normalization fails
+   */
+  async normalizeImage(imageUrl) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'NORMALIZE_IMAGE',
+        imageUrl,
+      });
+      if (response && response.success) {
+        return response.imageUrl;
+      }
+      console.warn('Failed to normalize image:', response && response.error);
+    } catch (error) {
+      console.warn('Failed to normalize image:', error);
+    }
+    return imageUrl;
+  }
+
   /**
    * Convert file to base64
    */
@@ -1090,20 +1239,126 @@ class StyleMeContentScript {
       }
 
       const apiKey = apiKeyInput.value.trim();
+      const geminiApiKey = this.sidebar
+        .querySelector('#gemini-api-key-input')
+        .value.trim();
+      const huggingFaceApiKey = this.sidebar
+        .querySelector('#hf-api-key-input')
+        .value.trim();
+      const huggingFaceModel = this.sidebar
+        .querySelector('#hf-model-input')
+        .value.trim();
+      const huggingFaceEndpoint = this.sidebar
+        .querySelector('#hf-endpoint-input')
+        .value.trim();
+      const customBaseUrl = this.sidebar
+        .querySelector('#custom-base-url-input')
+        .value.trim();
+      const customModel = this.sidebar
+        .querySelector('#custom-model-input')
+        .value.trim();
+      const customAuthHeader = this.sidebar
+        .querySelector('#custom-auth-header-input')
+        .value.trim();
+      const customApiKey = this.sidebar
+        .querySelector('#custom-api-key-input')
+        .value.trim();
+      const imageProvider = this.sidebar.querySelector('#provider-select').value;
+      this.stashStageSettings();
+      const stageSettings = this.stageSettings;
+      const fallbackChain = this.parseFallbackChain(
+        this.sidebar.querySelector('#fallback-chain-input').value
+      );
+      const confirmPaidFallback = this.sidebar.querySelector(
+        '#confirm-paid-fallback-input'
+      ).checked;
+      const generationMode = this.sidebar.querySelector(
+        '#generation-mode-select'
+      ).value;
+      const variations = parseInt(
+        this.sidebar.querySelector('#variations-input').value,
+        10
+      );
+      const extractionConcurrency = parseInt(
+        this.sidebar.querySelector('#extraction-concurrency-input').value,
+        10
+      );
+      const imageMaxEdge = parseInt(
+        this.sidebar.querySelector('#image-max-edge-input').value,
+        10
+      );
+      const dailyBudget = parseFloat(
+        this.sidebar.querySelector('#daily-budget-input').value
+      );
+      const monthlyBudget = parseFloat(
+        this.sidebar.querySelector('#monthly-budget-input').value
+      );
+      const budgetMode = this.sidebar.querySelector('#budget-mode-select').value;
       console.log(
-        'Saving settings: API Key:',
+        'Saving settings: Provider:',
+        imageProvider,
+        'API Key:',
         apiKey ? '***' + apiKey.slice(-4) : 'empty'
       );
 
-      if (!apiKey) {
+      if (imageProvider === 'openrouter' && !apiKey) {
         alert('Please enter your OpenRouter API key');
         return;
       }
 
-      const saveData = { openRouterApiKey: apiKey };
+      if (imageProvider === 'gemini' && !geminiApiKey) {
+        alert('Please enter your Google Gemini API key');
+        return;
+      }
+
+      if (
+        imageProvider === 'huggingface' &&
+        (!huggingFaceApiKey || !huggingFaceEndpoint)
+      ) {
+        alert('Please enter your Hugging Face access token and try-on endpoint');
+        return;
+      }
+
+      if (imageProvider === 'custom' && (!customBaseUrl || !customModel)) {
+        alert('Please enter the base URL and model of your endpoint');
+        return;
+      }
+
+      const saveData = {
+        imageProvider,
+        openRouterApiKey: apiKey,
+        geminiApiKey,
+        huggingFaceApiKey,
+        huggingFaceModel,
+        huggingFaceEndpoint,
+        customBaseUrl,
+        customModel,
+        customAuthHeader,
+        customApiKey,
+        stageSettings,
+        fallbackChain,
+        confirmPaidFallback,
+        generationMode,
+        variations: variations > 0 ? Math.min(variations, 4) : null,
+        // Empty means the default concurrency
+        extractionConcurrency:
+          extractionConcurrency > 0 ? Math.min(extractionConcurrency, 8) : null,
+        // Empty means the default size
+        imageMaxEdge:
+          imageMaxEdge > 0 ? Math.min(Math.max(imageMaxEdge, 512), 4096) : null,
+        // Empty budget fields clear the cap
+        dailyBudget: Number.isFinite(dailyBudget) ? dailyBudget : null,
+        monthlyBudget: Number.isFinite(monthlyBudget) ? monthlyBudget : null,
+        budgetMode,
+      };
       console.log('Save data prepared:', {
         ...saveData,
-        openRouterApiKey: '***' + apiKey.slice(-4),
+        openRouterApiKey: apiKey ? '***' + apiKey.slice(-4) : '',
+        geminiApiKey: geminiApiKey ? '***' + geminiApiKey.slice(-4) : '',
+        huggingFaceApiKey: huggingFaceApiKey
+          ? '***' + huggingFaceApiKey.slice(-4)
+          : '',
+        customApiKey: customApiKey ? '***' + customApiKey.slice(-4) : '',
       });
 
       if (this.tempUserImage) {
@@ -1119,6 +1374,20 @@ class StyleMeContentScript {
 
       this.showSuccessToast('Settings saved successfully!');
 
+      // Endpoints without CORS headers only work with host access
+      const endpoints = [customBaseUrl, huggingFaceEndpoint].filter(Boolean);
+      if (endpoints.length > 0) {
+        const response = await chrome.runtime.sendMessage({
+          type: 'ENSURE_HOST_PERMISSIONS',
+          urls: endpoints,
+        });
+        if (response && response.success && response.missing.length > 0) {
+          this.showSuccessToast(
+            'Allow access to your endpoint in the window that just opened'
+          );
+        }
+      }
+
       // Clear temp image after successful save
       this.tempUserImage = null;
     } catch (error) {
@@ -1133,15 +1402,131 @@ class StyleMeContentScript {
   async loadUserSettings() {
     try {
       const result = await chrome.storage.local.get([
+        'imageProvider',
         'openRouterApiKey',
+        'geminiApiKey',
+        'huggingFaceApiKey',
+        'huggingFaceModel',
+        'huggingFaceEndpoint',
+        'customBaseUrl',
+        'customModel',
+        'customAuthHeader',
+        'customApiKey',
+        'stageSettings',
+        'fallbackChain',
+        'confirmPaidFallback',
+        'extractionConcurrency',
+        'imageMaxEdge',
+        'generationMode',
+        'variations',
+        'dailyBudget',
+        'monthlyBudget',
+        'budgetMode',
         'userImage',
       ]);
 
+      if (result.imageProvider) {
+        const providerSelect = this.sidebar.querySelector('#provider-select');
+        providerSelect.value = result.imageProvider;
+      }
+
       if (result.openRouterApiKey) {
         const apiInput = this.sidebar.querySelector('#api-key-input');
         apiInput.value = result.openRouterApiKey;
       }
 
+      if (result.geminiApiKey) {
+        const geminiInput = this.sidebar.querySelector('#gemini-api-key-input');
+        geminiInput.value = result.geminiApiKey;
+      }
+
+      if (result.huggingFaceApiKey) {
+        const hfInput = this.sidebar.querySelector('#hf-api-key-input');
+        hfInput.value = result.huggingFaceApiKey;
+      }
+
+      if (result.huggingFaceModel) {
+        const hfModelInput = this.sidebar.querySelector('#hf-model-input');
+        hfModelInput.value = result.huggingFaceModel;
+      }
+
+      if (result.huggingFaceEndpoint) {
+        const hfEndpointInput = this.sidebar.querySelector('#hf-endpoint-input');
+        hfEndpointInput.value = result.huggingFaceEndpoint;
+      }
+
+      const customFields = {
+        '#custom-base-url-input': result.customBaseUrl,
+        '#custom-model-input': result.customModel,
+        '#custom-auth-header-input': result.customAuthHeader,
+        '#custom-api-key-input': result.customApiKey,
+      };
+      for (const [selector, value] of Object.entries(customFields)) {
+        if (value) {
+          this.sidebar.querySelector(selector).value = value;
+        }
+      }
+
+      if (result.fallbackChain) {
+        this.sidebar.querySelector('#fallback-chain-input').value =
+          result.fallbackChain
+            .map((entry) =>
+              entry.model ? `${entry.provider} ${entry.model}` : entry.provider
+            )
+            .join('\n');
+      }
+
+      if (Number.isFinite(result.dailyBudget)) {
+        this.sidebar.querySelector('#daily-budget-input').value =
+          result.dailyBudget;
+      }
+
+      if (Number.isFinite(result.monthlyBudget)) {
+        this.sidebar.querySelector('#monthly-budget-input').value =
+          result.monthlyBudget;
+      }
+
+      if (result.budgetMode) {
+        this.sidebar.querySelector('#budget-mode-select').value =
+          result.budgetMode;
+      }
+
+      if (result.confirmPaidFallback === false) {
+        this.sidebar.querySelector(
+          '#confirm-paid-fallback-input'
+        ).checked = false;
+      }
+
+      if (result.generationMode) {
+        this.sidebar.querySelector('#generation-mode-select').value =
+          result.generationMode;
+      }
+
+      if (result.variations) {
+        this.sidebar.querySelector('#variations-input').value =
+          result.variations;
+      }
+
+      if (result.extractionConcurrency) {
+        this.sidebar.querySelector('#extraction-concurrency-input').value =
+          result.extractionConcurrency;
+      }
+
+      if (result.imageMaxEdge) {
+        this.sidebar.querySelector('#image-max-edge-input').value =
+          result.imageMaxEdge;
+      }
+
+      const stageSettings = result.stageSettings || {};
+      // Older versions saved one flat set of stage settings, used with OpenRouter
+      this.stageSettings =
+        stageSettings.extraction || stageSettings.composition
+          ? { openrouter: stageSettings }
+          : stageSettings;
+      this.showStageSettings(
+        this.sidebar.querySelector('#provider-select').value
+      );
+
       if (result.userImage) {
         const preview = this.sidebar.querySelector('#user-image-preview');
         preview.innerHTML = `
@@ -1194,6 +1579,8 @@ class StyleMeContentScript {
               ? `<div style="font-size: 11px; opacity: 0.7; color: #4ade80;">📸 ${product.imageCount} images (showing first)</div>`
               : ''
           }
+          <input type="text" class="product-instructions-input" data-product-index="${index}" placeholder="Styling note (optional)" 
+                 style="width: 100%; margin-top: 4px; padding: 4px 6px; border: none; border-radius: 4px; background: rgba(255,255,255,0.9); color: #333; font-size: 11px; box-sizing: border-box;">
         </div>
         <div style="display: flex; gap: 8px; margin-left: 8px;">
           <button class="try-on-btn" data-product-index="${index}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); border: none; color: white; padding: 4px 8px; border-radius: 4px; cursor: pointer; font-size: 10px; font-weight: 500;">Try On</button>
@@ -1205,6 +1592,19 @@ class StyleMeContentScript {
       )
       .join('');
 
+    // Per-product styling notes, set as values so quotes in them can't break the markup
+    container
+      .querySelectorAll('.product-instructions-input')
+      .forEach((input) => {
+        const index = parseInt(input.dataset.productIndex);
+        const product = this.savedProducts[index];
+        input.value = product.instructions || '';
+        input.addEventListener('change', () => {
+          product.instructions = input.value.trim();
+          this.savePersistentData();
+        });
+      });
+
     // Add event listeners to remove buttons
     this.setupRemoveButtonListeners();
 
@@ -1309,7 +1709,6 @@ class StyleMeContentScript {
     if (index >= 0 && index < this.savedProducts.length) {
       const productInfo = this.savedProducts[index];
       console.log('Starting try-on for product:', productInfo);
-      this.showLoadingToast('Generating try-on...');
       this.generateOutFit([productInfo]);
     } else {
       console.error('Invalid product index:', index);
@@ -1656,20 +2055,84 @@ class StyleMeContentScript {
   /**
    * Handle successful style generation
    */
-  handleStyleSuccess(generatedImage) {
+  handleStyleSuccess(generatedImage, promptVersions = {}, candidates = []) {
+    this.currentGenerationId = null;
     this.hideLoadingToast();
 
     // Store the generated image for later use
     this.currentGeneratedImage = generatedImage;
+    this.currentPromptVersions = promptVersions;
+    this.currentCandidates = candidates;
+
+    // Refresh the running spend now that new usage was recorded
+    this.loadUsageSummary();
+
+    const showResult = () => this.showCandidate(0);
 
     if (!this.sidebar) {
       this.openSidebar();
-      setTimeout(() => this.showGeneratedResult(generatedImage), 300);
+      setTimeout(showResult, 300);
     } else {
-      this.showGeneratedResult(generatedImage);
+      showResult();
     }
   }
 
+  /**
+   * Show one of the generated candidates as the result, with a strip to pick another one
+   * The picked candidate becomes the current image used for the next try-on
+   */
+  showCandidate(index) {
+    const candidates = this.currentCandidates || [];
+    if (candidates[index]) {
+      this.currentGeneratedImage = candidates[index];
+    }
+
+    this.showGeneratedResult(this.currentGeneratedImage);
+
+    if (this.sidebar && candidates.length > 1) {
+      const strip = document.createElement('div');
+      strip.style.cssText =
+        'display: flex; gap: 8px; justify-content: center; margin-top: 12px; overflow-x: auto;';
+      candidates.forEach((candidate, candidateIndex) => {
+        const thumb = document.createElement('img');
+        thumb.src = candidate;
+        thumb.title = `Variation ${candidateIndex + 1}`;
+        thumb.style.cssText = `width: 60px; height: 80px; object-fit: cover; border-radius: 6px; cursor: pointer; border: 2px solid ${
+          candidateIndex === index ? 'white' : 'transparent'
+        }; opacity: ${candidateIndex === index ? '1' : '0.6'};`;
+        thumb.addEventListener('click', () =>
+          this.showCandidate(candidateIndex)
+        );
+        strip.appendChild(thumb);
+      });
+
+      const hint = document.createElement('p');
+      hint.style.cssText =
+        'margin: 6px 0 0 0; font-size: 11px; opacity: 0.7; text-align: center;';
+      hint.textContent = `Variation ${index + 1} of ${candidates.length} selected. Click another to keep it instead.`;
+
+      const resultContainer = this.sidebar.querySelector('#generated-result');
+      resultContainer.appendChild(strip);
+      resultContainer.appendChild(hint);
+    }
+
+    this.showPromptVersions(this.currentPromptVersions);
+  }
+
+  /**
+   * Show which prompt template versions produced the current result
+   */
+  showPromptVersions(promptVersions) {
+    const versions = Object.values(promptVersions || {});
+    if (!this.sidebar || versions.length === 0) return;
+
+    const info = document.createElement('p');
+    info.style.cssText =
+      'margin: 10px 0 0 0; font-size: 11px; opacity: 0.6; text-align: center;';
+    info.textContent = `Prompts: ${versions.join(', ')}`;
+    this.sidebar.querySelector('#generated-result').appendChild(info);
+  }
+
   /**
    * Send success response to background script
    */
@@ -1739,11 +2202,17 @@ class StyleMeContentScript {
         'Sending try-on request to background script from sidebar:',
         products
       );
+      const generationId = this.startGeneration('Generating try-on...');
+
       // Send request to background script with timeout
       const response = await this.sendMessageWithTimeout(
         {
           type: 'STYLE_ME_CLICKED',
-          data: { products: products, userImage: this.currentGeneratedImage },
+          data: {
+            products: products,
+            userImage: this.currentGeneratedImage,
+            generationId,
+          },
           source: 'content_script',
         },
         10000
@@ -1754,9 +2223,13 @@ class StyleMeContentScript {
         // The background script will handle the generation and send back results
         return { success: true };
       }
+      throw new Error('Background script rejected request');
     } catch (error) {
       console.error('Error sending request to background script:', error);
-      // Fall back to local generation
+      this.currentGenerationId = null;
+      this.hideLoadingToast();
+      this.showSuccessToast('Failed to start the try-on. Please try again.');
+      return { success: false };
     }
   }
 
@@ -1775,7 +2248,9 @@ class StyleMeContentScript {
       console.log('Starting try-on for selected products:', selectedProducts);
 
       // Show loading state
-      this.showLoadingToast('Generating outfit with selected products...');
+      const generationId = this.startGeneration(
+        'Generating outfit with selected products...'
+      );
 
       // Send to background script for processing
       const response = await this.sendMessageWithTimeout(
@@ -1783,7 +2258,11 @@ class StyleMeContentScript {
           type: 'STYLE_ME_CLICKED',
           data: { 
             products: selectedProducts, 
-            userImage: await this.getUserImage()
+            userImage: await this.getUserImage(),
+            instructions: this.sidebar
+              .querySelector('#styling-instructions-input')
+              .value.trim(),
+            generationId,
           },
           source: 'content_script',
         },
@@ -1791,15 +2270,15 @@ class StyleMeContentScript {
       );
 
       if (response && response.success) {
+        // Keep the loading toast (and its Cancel button) until the result arrives
         console.log('Background script accepted multiple products request');
-        this.hideLoadingToast();
-        this.showSuccessToast('Try-on request sent! Check the results section.');
       } else {
         throw new Error('Background script rejected request');
       }
 
     } catch (error) {
       console.error('Error in handleTryOnSelectedProducts:', error);
+      this.currentGenerationId = null;
       this.hideLoadingToast();
       this.showSuccessToast('Failed to process selected products. Please try again.');
     }
@@ -1836,10 +2315,78 @@ class StyleMeContentScript {
    * Handle style generation error
    */
   handleStyleError(error) {
+    this.currentGenerationId = null;
     this.hideLoadingToast();
     alert('Try-on generation failed: ' + error);
   }
 
+  /**
+   * Show an intermediate image while garments are layered one at a time
+   */
+  showLayerPreview({ image, step, totalSteps, productName }) {
+    this.updateLoadingToast(
+      `Added ${productName} (${step}/${totalSteps}), layering the next item...`
+    );
+
+    if (!this.sidebar) return;
+
+    const resultsSection = this.sidebar.querySelector('#results-section');
+    const resultContainer = this.sidebar.querySelector('#generated-result');
+
+    resultContainer.innerHTML = `
+      <div style="text-align: center;">
+        <img style="max-width: 100%; border-radius: 8px; box-shadow: 0 4px 12px rgba(0,0,0,0.2); opacity: 0.85;">
+        <p style="margin: 10px 0 0 0; font-size: 12px; opacity: 0.8;"></p>
+      </div>
+    `;
+    // The product name comes from the shopping page, keep it out of the markup
+    resultContainer.querySelector('img').src = image;
+    resultContainer.querySelector(
+      'p'
+    ).textContent = `Step ${step} of ${totalSteps}: added ${productName}. Still working...`;
+    resultsSection.style.display = 'block';
+  }
+
+  /**
+   * Start tracking a new generation and show a cancellable loading toast
+   * @returns {string} - Generation id to send with STYLE_ME_CLICKED
+   */
+  startGeneration(message) {
+    this.currentGenerationId = `gen_${Date.now()}_${Math.random()
+      .toString(36)
+      .substr(2, 9)}`;
+    this.showLoadingToast(message, true);
+    return this.currentGenerationId;
+  }
+
+  /**
+   * Ask the background script to abort the in-flight generation
+   */
+  async cancelGeneration() {
+    if (!this.currentGenerationId) return;
+
+    this.updateLoadingToast('Cancelling...');
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'CANCEL_STYLE_ME',
+        generationId: this.currentGenerationId,
+      });
+    } catch (error) {
+      console.error('Error sending cancel request to background:', error);
+    }
+  }
+
+  /**
+   * Handle a generation cancelled by the user
+   */
+  handleStyleCancelled(generationId) {
+    if (generationId && generationId !== this.currentGenerationId) return;
+
+    this.currentGenerationId = null;
+    this.hideLoadingToast();
+    this.showSuccessToast('Try-on cancelled');
+  }
+
   /**
    * Show generated result in sidebar
    */
@@ -2100,8 +2647,10 @@ class StyleMeContentScript {
 
   /**
    * Show loading toast
+   * @param {string} message - Toast message
+   * @param {boolean} cancellable - Whether to show a Cancel button for the current generation
    */
-  showLoadingToast(message) {
+  showLoadingToast(message, cancellable = false) {
     this.hideLoadingToast(); // Remove any existing toast
 
     const toast = document.createElement('div');
@@ -2124,10 +2673,24 @@ class StyleMeContentScript {
     toast.innerHTML = `
       <div style="display: flex; align-items: center;">
         <div style="width: 20px; height: 20px; border: 2px solid rgba(255,255,255,0.3); border-top: 2px solid white; border-radius: 50%; animation: spin 1s linear infinite; margin-right: 10px;"></div>
-        ${message}
+        <span id="style-me-loading-message">${message}</span>
+        ${
+          cancellable
+            ? `<button id="style-me-cancel-btn" style="margin-left: 15px; background: rgba(255,255,255,0.2); color: white; border: 1px solid rgba(255,255,255,0.6); padding: 4px 10px; border-radius: 4px; font-size: 12px; font-weight: 600; cursor: pointer;">Cancel</button>`
+            : ''
+        }
       </div>
     `;
 
+    const cancelBtn = toast.querySelector('#style-me-cancel-btn');
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        cancelBtn.disabled = true;
+        this.cancelGeneration();
+      });
+    }
+
     // Add CSS animations
     if (!document.querySelector('#style-me-animations')) {
       const style = document.createElement('style');
@@ -2142,6 +2705,18 @@ class StyleMeContentScript {
     document.body.appendChild(toast);
   }
 
+  /**
+   * Update the message of the loading toast, showing it if needed
+   */
+  updateLoadingToast(message) {
+    const messageEl = document.querySelector('#style-me-loading-message');
+    if (messageEl) {
+      messageEl.textContent = message;
+    } else {
+      this.showLoadingToast(message, Boolean(this.currentGenerationId));
+    }
+  }
+
   /**
    * Hide loading toast
    */
@@ -2346,6 +2921,12 @@ window.checkButtonStatus = () => {
   });
 };
 
+// Add function to toggle the offline mock provider for demos and tests
+window.useMockProvider = async (enabled = true) => {
+  await chrome.storage.local.set({ forceMockProvider: enabled });
+  console.log(`Mock provider ${enabled ? 'enabled' : 'disabled'}`);
+};
+
 // Add function to analyze Myntra page structure
 window.analyzeMyntraPage = () => {
   console.log('=== Myntra Page Analysis ===');
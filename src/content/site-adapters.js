@@ -0,0 +1,1409 @@
+/**
+ * Style Me Chrome Extension - Site Adapters
+ * Each adapter knows how to find product cards and images on one retailer and read product metadata from them
+ * Loaded before content.js, which picks the adapter for the current page with getSiteAdapter()
+ */
+
+/**
+ * Base class for site adapters
+ * Subclasses override the selector lists and, where a site needs it, the extraction methods
+ */
+class SiteAdapter {
+  constructor() {
+    this.id = 'generic';
+  }
+
+  /**
+   * Get product card selectors, most specific first
+   * @returns {Array<string>} - CSS selectors
+   */
+  getProductCardSelectors() {
+    return [];
+  }
+
+  /**
+   * Get product image selectors, most specific first
+   * @returns {Array<string>} - CSS selectors
+   */
+  getProductImageSelectors() {
+    return [];
+  }
+
+  /**
+   * Get selectors for product gallery images inside a card
+   * Only the first selector that matches anything is used
+   * @returns {Array<string>} - CSS selectors
+   */
+  getSliderImageSelectors() {
+    return [];
+  }
+
+  /**
+   * Get selectors used when no gallery images are found
+   * @returns {Array<string>} - CSS selectors
+   */
+  getFallbackImageSelectors() {
+    return [];
+  }
+
+  /**
+   * Get product title selectors, most specific first
+   * @returns {Array<string>} - CSS selectors
+   */
+  getTitleSelectors() {
+    return [];
+  }
+
+  /**
+   * Get product brand selectors, most specific first
+   * @returns {Array<string>} - CSS selectors
+   */
+  getBrandSelectors() {
+    return [];
+  }
+
+  /**
+   * Get product price selectors, most specific first
+   * @returns {Array<string>} - CSS selectors
+   */
+  getPriceSelectors() {
+    return [];
+  }
+
+  /**
+   * Get selected colour selectors, most specific first
+   * @returns {Array<string>} - CSS selectors
+   */
+  getColorSelectors() {
+    return [];
+  }
+
+  /**
+   * Called before each scan for product cards
+   * Adapters that need to tag cards in the page do it here
+   */
+  prepareCards() {}
+
+  /**
+   * Watch for changes to a card's product that don't add a new card, e.g. a colour
+   * swatch swapping the gallery in place. Called once when the content script starts
+   * @param {Function} onCardChanged - Called with the product card whose image changed
+   */
+  watchCards(onCardChanged) {}
+
+  /**
+   * Find the product card containing an image
+   * @param {Element} imgElement - Product image
+   * @returns {Element|null} - Product card, or null when the image is not inside one
+   */
+  findProductCard(imgElement) {
+    const selectors = this.getProductCardSelectors();
+    return selectors.length > 0
+      ? imgElement.closest(selectors.join(','))
+      : null;
+  }
+
+  /**
+   * Collect all images from image sliders in a product card
+   * @param {Element} productCard - The product card element
+   * @returns {Array<string>} - Array of image URLs
+   */
+  collectProductImages(productCard) {
+    let allImages = this.queryImageUrls(
+      productCard,
+      this.getSliderImageSelectors()
+    );
+
+    // If no slider images found, try to find any product images
+    if (allImages.length === 0) {
+      allImages = this.queryImageUrls(
+        productCard,
+        this.getFallbackImageSelectors()
+      );
+    }
+
+    // Filter out duplicate URLs and ensure we have valid images
+    return [...new Set(allImages)].filter(
+      (url) =>
+        url && url.trim() && !url.includes('data:') && url.startsWith('http')
+    );
+  }
+
+  /**
+   * Extract product metadata from a product card
+   * @param {Element} productCard - The product card element
+   * @returns {{name: string, brand: string, price: string, color: string, articleType: string}} - Empty strings for anything not found
+   */
+  getProductMetadata(productCard) {
+    return {
+      name: this.queryText(productCard, this.getTitleSelectors()),
+      brand: this.queryText(productCard, this.getBrandSelectors()),
+      price: this.queryText(productCard, this.getPriceSelectors()),
+      color: this.queryText(productCard, this.getColorSelectors()),
+      articleType: this.getArticleType(productCard),
+    };
+  }
+
+  /**
+   * Extract everything getProductInfo needs from a product card
+   * Adapters backed by structured data (APIs, embedded JSON) override this instead of the selector lists
+   * @param {Element} productCard - The product card element
+   * @returns {Promise<{name: string, brand: string, price: string, color: string, articleType: string, images: Array<string>, variants?: Array<Object>}>} - Product details
+   */
+  async getProductDetails(productCard) {
+    return {
+      ...this.getProductMetadata(productCard),
+      images: this.collectProductImages(productCard),
+    };
+  }
+
+  /**
+   * Get the site's own product type (e.g. "tshirts"), used for garment category detection
+   * @param {Element} productCard - The product card element
+   * @returns {string} - Article type, or an empty string when unknown
+   */
+  getArticleType(productCard) {
+    return '';
+  }
+
+  /**
+   * Get the URL of a product image element
+   * @param {HTMLImageElement} img - Image element
+   * @returns {string} - Image URL, or an empty string
+   */
+  getImageUrl(img) {
+    return img.src;
+  }
+
+  /**
+   * Read image URLs from the first selector that matches any images
+   * @param {Element} root - Element to search in
+   * @param {Array<string>} selectors - CSS selectors, tried in order
+   * @returns {Array<string>} - Image URLs
+   */
+  queryImageUrls(root, selectors) {
+    for (const selector of selectors) {
+      const images = root.querySelectorAll(selector);
+      if (images.length > 0) {
+        const urls = [];
+        images.forEach((img) => {
+          const url = this.getImageUrl(img);
+          if (url && !urls.includes(url)) {
+            urls.push(url);
+          }
+        });
+        return urls;
+      }
+    }
+    return [];
+  }
+
+  /**
+   * Read the text of the first selector that matches a non-empty element
+   * @param {Element} root - Element to search in
+   * @param {Array<string>} selectors - CSS selectors, tried in order
+   * @returns {string} - Trimmed text, or an empty string
+   */
+  queryText(root, selectors) {
+    for (const selector of selectors) {
+      const element = root.querySelector(selector);
+      if (element && element.textContent.trim()) {
+        return element.textContent.trim();
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Read the last breadcrumb, the most specific category of the page
+   * Earlier crumbs ("Home", "Men", "Clothing") are too generic to detect a garment from
+   * @param {string} selector - CSS selector matching the breadcrumb items
+   * @returns {string} - Trimmed text, or an empty string
+   */
+  queryLeafBreadcrumb(selector) {
+    const crumbs = Array.from(document.querySelectorAll(selector))
+      .map((crumb) => crumb.textContent.trim())
+      .filter(Boolean);
+    return crumbs.length > 0 ? crumbs[crumbs.length - 1] : '';
+  }
+}
+
+/**
+ * Myntra (myntra.com) listing and product pages
+ */
+class MyntraAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.id = 'myntra';
+  }
+
+  getProductCardSelectors() {
+    return [
+      // Primary product card selectors
+      '.product-base', // Product card on listing pages
+      '.pdp-product', // Product card on product detail page
+      '.product-card', // Alternative product card
+      '.product-tile', // Product tile
+
+      // Product cards with product ID
+      '.product-base[data-productid]', // Product base with ID
+      '.product-card[data-productid]', // Product card with ID
+      '.product-tile[data-productid]', // Product tile with ID
+
+      // Alternative product card classes
+      '.product-base[data-productid]:not([data-productid=""])', // Product base with non-empty ID
+      '.product-card[data-productid]:not([data-productid=""])', // Product card with non-empty ID
+      '.product-tile[data-productid]:not([data-productid=""])', // Product tile with non-empty ID
+
+      // Grid and list item selectors
+      '.product-base.product-card', // Product base with card class
+      '.product-base.product-tile', // Product base with tile class
+      '.product-card.product-tile', // Product card with tile class
+
+      // Search result specific selectors
+      '.product-base[data-testid*="product"]', // Product base with test ID
+      '.product-card[data-testid*="product"]', // Product card with test ID
+      '.product-tile[data-testid*="product"]', // Product tile with test ID
+
+      // Alternative layout selectors
+      '.product-base.product-card[data-productid]', // Complex product base with ID
+      '.product-card.product-tile[data-productid]', // Complex product card with ID
+      '.product-base.product-tile[data-productid]', // Complex product base with tile and ID
+
+      // Generic product containers
+      '[data-productid]:not([data-productid=""])', // Any element with non-empty product ID
+      '.product', // Generic product class
+      '.product-item', // Generic product item class
+      '.product-container', // Generic product container
+
+      // Category and listing page selectors
+      '.product-base[data-category]', // Product base with category
+      '.product-card[data-category]', // Product card with category
+      '.product-tile[data-category]', // Product tile with category
+
+      // Brand specific selectors
+      '.product-base[data-brand]', // Product base with brand
+      '.product-card[data-brand]', // Product card with brand
+      '.product-tile[data-brand]', // Product tile with brand
+
+      // Price range selectors
+      '.product-base[data-price-range]', // Product base with price range
+      '.product-card[data-price-range]', // Product card with price range
+      '.product-tile[data-price-range]', // Product tile with price range
+    ];
+  }
+
+  getProductImageSelectors() {
+    return [
+      // Primary product image selectors
+      '.product-image img', // Standard product images
+      '.product-imageSlider img', // Product slider images
+
+      // Myntra CDN image selectors
+      'img[src*="assets.myntassets.com"]', // Main assets CDN
+      'img[src*="myntra.com"]', // Myntra domain images
+      'img[src*="myntraassets.com"]', // Alternative assets CDN
+      'img[src*="myntra.net"]', // Alternative domain
+
+      // Alternative image selectors
+      'img[alt*="product"]', // Images with product in alt text
+      'img[alt*="Product"]', // Images with Product in alt text
+      'img[alt*="image"]', // Images with image in alt text
+      'img[alt*="Image"]', // Images with Image in alt text
+
+      // Specific image classes
+      '.product-image', // Product image container
+      '.product-imageSlider', // Product slider container
+      '.product-base img', // Product base images
+      '.product-card img', // Product card images
+      '.product-tile img', // Product tile images
+
+      // Image container selectors
+      '.product-image[style*="background-image"]', // Background image containers
+      '.product-imageSlider[style*="background-image"]', // Slider background containers
+
+      // Product detail page images
+      '.pdp-image img', // Product detail page images
+      '.pdp-imageSlider img', // Product detail slider images
+      '.product-sliderContainer img', // Product slider container images
+
+      // Generic product images
+      'img[src*="product"]', // Any image with product in URL
+      'img[src*="Product"]', // Any image with Product in URL
+      'img[src*="item"]', // Any image with item in URL
+      'img[src*="Item"]', // Any image with Item in URL
+
+      // Search result specific images
+      '.product-base img', // Product base images
+      '.product-card img', // Product card images
+      '.product-tile img', // Product tile images
+
+      // Alternative image containers
+      '.image-grid-image', // Image grid images
+      '.image-grid-imageContainer img', // Image grid container images
+    ];
+  }
+
+  getSliderImageSelectors() {
+    return [
+      '.product-imageSlider img',
+      '.pdp-imageSlider img',
+      '.product-sliderContainer img',
+      '.image-grid-image img',
+      '.image-grid-imageContainer img',
+      '.product-image img',
+      '.pdp-image img',
+    ];
+  }
+
+  getFallbackImageSelectors() {
+    return [
+      'img[src*="assets.myntassets.com"]',
+      'img[src*="myntra.com"]',
+      'img[src*="myntraassets.com"]',
+      'img[src*="myntra.net"]',
+      'img[alt*="product"]',
+      'img[alt*="Product"]',
+    ];
+  }
+
+  getTitleSelectors() {
+    return [
+      '.product-product', // Product name
+      '.product-name', // Product name
+      '.product-brand', // Product brand
+      'h3', // Heading 3
+      'h4', // Heading 4
+      'h5', // Heading 5
+      '.product-base .product-product', // Product base with product
+      '.product-card .product-product', // Product card with product
+      '.product-tile .product-product', // Product tile with product
+      '.product-base .product-name', // Product base with name
+      '.product-card .product-name', // Product card with name
+      '.product-tile .product-name', // Product tile with name
+      '.product-base .product-brand', // Product base with brand
+      '.product-card .product-brand', // Product card with brand
+      '.product-tile .product-brand', // Product tile with brand
+      '.product-title', // Generic product title
+      '.item-title', // Generic item title
+      '.title', // Generic title
+      'a[title]', // Link with title attribute
+      '.product-base a[title]', // Product base link with title
+      '.product-card a[title]', // Product card link with title
+      '.product-tile a[title]', // Product tile link with title
+    ];
+  }
+
+  getBrandSelectors() {
+    return [
+      '.product-brand', // Listing card brand
+      '.pdp-title', // Product detail brand
+    ];
+  }
+
+  getPriceSelectors() {
+    return [
+      '.product-discountedPrice', // Discounted price
+      '.product-price', // Product price
+      '.price', // Generic price
+      '.product-base .product-discountedPrice', // Product base with discounted price
+      '.product-card .product-discountedPrice', // Product card with discounted price
+      '.product-tile .product-discountedPrice', // Product tile with discounted price
+      '.product-base .product-price', // Product base with price
+      '.product-card .product-price', // Product card with price
+      '.product-tile .product-price', // Product tile with price
+      '.discount-price', // Discount price
+      '.original-price', // Original price
+      '.current-price', // Current price
+      '.sale-price', // Sale price
+      '.offer-price', // Offer price
+      '.final-price', // Final price
+    ];
+  }
+
+  /**
+   * Get the Myntra article type (e.g. "tshirts", "casual-shoes") of a product card
+   */
+  getArticleType(productCard) {
+    // Myntra product URLs start with the article type: /tshirts/<brand>/<slug>/<id>/buy
+    const link =
+      productCard.querySelector('a[href*="/buy"]') ||
+      productCard.closest('a[href*="/buy"]');
+    const path = link
+      ? new URL(link.getAttribute('href'), window.location.href).pathname
+      : window.location.pathname;
+    const match = path.match(/^\/([a-z0-9-]+)\/[^/]+\/[^/]+\/\d+\/buy/i);
+    if (match) {
+      return match[1];
+    }
+
+    // Product pages also list the category in the breadcrumbs
+    return this.queryLeafBreadcrumb(
+      '.breadcrumbs-container a, .breadcrumbs-item'
+    );
+  }
+}
+
+/**
+ * Ajio (ajio.com) listing and product pages
+ */
+class AjioAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.id = 'ajio';
+  }
+
+  getProductCardSelectors() {
+    return [
+      '.rilrtl-products-list__item', // Product card on listing pages
+      '.item.rilrtl-products-list__item', // Listing card with item class
+      '.prod-container', // Product detail page
+      '.pdp-container', // Alternative product detail container
+    ];
+  }
+
+  getProductImageSelectors() {
+    return [
+      '.imgHolder img', // Listing card image
+      '.zoom-wrap img', // Product detail main image
+      '.img-container img', // Product detail gallery image
+      'img.rilrtl-lazy-img', // Lazy-loaded product images
+      'img[src*="assets.ajio.com"]', // Ajio assets CDN
+    ];
+  }
+
+  getSliderImageSelectors() {
+    return [
+      '.img-container img', // Product detail gallery thumbnails
+      '.zoom-wrap img', // Product detail main image
+      '.imgHolder img', // Listing card image
+    ];
+  }
+
+  getFallbackImageSelectors() {
+    return ['img[src*="assets.ajio.com"]', 'img.rilrtl-lazy-img'];
+  }
+
+  getTitleSelectors() {
+    return [
+      '.nameCls', // Listing card name
+      'h1.prod-name', // Product detail name
+      '.prod-name', // Alternative product detail name
+    ];
+  }
+
+  getBrandSelectors() {
+    return [
+      '.brand', // Listing card brand
+      'h2.brand-name', // Product detail brand
+      '.brand-name', // Alternative product detail brand
+    ];
+  }
+
+  getPriceSelectors() {
+    return [
+      '.price strong', // Listing card selling price
+      '.price', // Listing card price block
+      '.prod-sp', // Product detail selling price
+      '.prod-cp', // Product detail MRP
+    ];
+  }
+
+  /**
+   * Lazy images keep their real URL in data-src until scrolled into view
+   */
+  getImageUrl(img) {
+    if (img.src && !img.src.startsWith('data:')) {
+      return img.src;
+    }
+    return img.dataset.src || img.src;
+  }
+
+  /**
+   * Ajio product URLs carry no type, product pages list it in the breadcrumbs
+   */
+  getArticleType(productCard) {
+    return this.queryLeafBreadcrumb('.breadcrumb-sec li');
+  }
+}
+
+/**
+ * Amazon (amazon.in, amazon.com) fashion search results and product pages
+ * On product pages the Try On button sits on the main image, and metadata is read from the whole page
+ */
+class AmazonAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.id = 'amazon';
+    // Colour shown at page load, the page's 'initial' gallery data only matches this one
+    this.initialColor = this.queryText(document, this.getColorSelectors());
+  }
+
+  getProductCardSelectors() {
+    return [
+      '#main-image-container', // Product detail main image
+      '#imageBlock', // Alternative product detail image block
+      'div[data-component-type="s-search-result"]', // Search result card
+    ];
+  }
+
+  getProductImageSelectors() {
+    return [
+      '#landingImage', // Product detail main image
+      '#imgTagWrapperId img', // Alternative product detail main image
+      'img.s-image', // Search result image
+    ];
+  }
+
+  getTitleSelectors() {
+    return [
+      '#productTitle', // Product detail title
+      'h2 a span', // Search result title
+      'a h2 span', // Search result title in newer layouts
+      'h2 span', // Alternative search result title
+    ];
+  }
+
+  getBrandSelectors() {
+    return [
+      '.po-brand .po-break-word', // Product overview table
+      '#bylineInfo', // "Visit the <brand> Store" / "Brand: <brand>"
+      'h2.s-line-clamp-1 span', // Search result brand line
+      '.a-row .a-size-base-plus.a-color-base', // Alternative search result brand line
+    ];
+  }
+
+  getPriceSelectors() {
+    return [
+      '#corePriceDisplay_desktop_feature_div .a-price .a-offscreen', // Product detail price
+      '#corePrice_feature_div .a-price .a-offscreen', // Alternative product detail price
+      '#priceblock_dealprice', // Legacy deal price
+      '#priceblock_ourprice', // Legacy price
+      '.a-price .a-offscreen', // Search result price
+    ];
+  }
+
+  getColorSelectors() {
+    return [
+      '#variation_color_name .selection', // Selected colour swatch
+      '#inline-twister-expanded-dimension-text-color_name', // Inline twister colour
+      '.po-color .po-break-word', // Product overview table
+    ];
+  }
+
+  /**
+   * Picking a colour swatch swaps the main image and gallery without reloading the page,
+   * so report the image block whenever the selected colour or main image changes
+   */
+  watchCards(onCardChanged) {
+    const readState = () => {
+      const landingImage = document.querySelector('#landingImage');
+      return `${this.queryText(document, this.getColorSelectors())}|${
+        landingImage ? landingImage.src : ''
+      }`;
+    };
+
+    let state = readState();
+    let pending = null;
+    const observer = new MutationObserver(() => {
+      // Swatch changes come in bursts of mutations, check once they settle
+      clearTimeout(pending);
+      pending = setTimeout(() => {
+        const card = document.querySelector(
+          '#main-image-container, #imageBlock'
+        );
+        const next = readState();
+        if (card && next !== state) {
+          state = next;
+          onCardChanged(card);
+        }
+      }, 100);
+    });
+
+    observer.observe(document.body, {
+      subtree: true,
+      childList: true,
+      characterData: true,
+      attributes: true,
+      attributeFilter: ['src', 'class'],
+    });
+  }
+
+  /**
+   * Whether a card is a product detail image block rather than a search result
+   */
+  isProductPage(productCard) {
+    return !productCard.matches('[data-component-type="s-search-result"]');
+  }
+
+  /**
+   * Product page metadata lives outside the image block, so it is read from the whole page
+   */
+  getProductMetadata(productCard) {
+    const root = this.isProductPage(productCard) ? document : productCard;
+    return {
+      name: this.queryText(root, this.getTitleSelectors()),
+      brand: this.queryText(root, this.getBrandSelectors())
+        .replace(/^Visit the\s+/i, '')
+        .replace(/\s+Store$/i, '')
+        .replace(/^Brand:\s*/i, ''),
+      price: this.queryText(root, this.getPriceSelectors()),
+      color: this.queryText(root, this.getColorSelectors()),
+      articleType: this.getArticleType(productCard),
+    };
+  }
+
+  /**
+   * Product pages list the department and type in the breadcrumbs
+   */
+  getArticleType(productCard) {
+    if (!this.isProductPage(productCard)) {
+      return '';
+    }
+    return this.queryLeafBreadcrumb('#wayfinding-breadcrumbs_feature_div a');
+  }
+
+  /**
+   * Collect hi-res gallery images for the selected colour
+   * Read on every call, so switching the colour swatch picks up the new variant's gallery
+   */
+  collectProductImages(productCard) {
+    if (!this.isProductPage(productCard)) {
+      const img = productCard.querySelector('img.s-image');
+      return img && img.src ? [toFullSizeAmazonImageUrl(img.src)] : [];
+    }
+
+    const color = this.queryText(document, this.getColorSelectors());
+    const images =
+      this.getColorGalleryImages(color) ||
+      (color === this.initialColor ? this.getInitialGalleryImages() : null) ||
+      this.getThumbnailGalleryImages();
+
+    return [...new Set(images)].filter(
+      (url) => url && url.startsWith('http')
+    );
+  }
+
+  /**
+   * Read hi-res images for a colour from the variation data block
+   * @param {string} color - Selected colour name
+   * @returns {Array<string>|null} - Image URLs, or null when the page has no data for the colour
+   */
+  getColorGalleryImages(color) {
+    if (!color) {
+      return null;
+    }
+    const colorImages = findScriptJson(/"colorImages"\s*:/, '{');
+    const entries = colorImages && colorImages[color];
+    return Array.isArray(entries) && entries.length > 0
+      ? entries.map((entry) => entry.hiRes || entry.large)
+      : null;
+  }
+
+  /**
+   * Read hi-res images for the colour shown at page load from the image block data
+   * @returns {Array<string>|null} - Image URLs, or null when the data block is missing
+   */
+  getInitialGalleryImages() {
+    const initial = findScriptJson(
+      /'colorImages'\s*:\s*\{\s*'initial'\s*:/,
+      '['
+    );
+    return Array.isArray(initial) && initial.length > 0
+      ? initial.map((entry) => entry.hiRes || entry.large)
+      : null;
+  }
+
+  /**
+   * Read the gallery from the thumbnail strip, which Amazon updates on colour changes
+   * @returns {Array<string>} - Full-size image URLs
+   */
+  getThumbnailGalleryImages() {
+    const urls = [];
+
+    const landingImage = document.querySelector('#landingImage');
+    if (landingImage) {
+      urls.push(
+        landingImage.getAttribute('data-old-hires') ||
+          largestDynamicImage(landingImage) ||
+          landingImage.src
+      );
+    }
+
+    document
+      .querySelectorAll('#altImages li.imageThumbnail img')
+      .forEach((img) => urls.push(toFullSizeAmazonImageUrl(img.src)));
+
+    return urls;
+  }
+}
+
+/**
+ * Strip Amazon's size and crop modifiers (e.g. "._AC_US40_") to get the original image
+ * @param {string} url - Amazon image URL
+ * @returns {string} - Full-size image URL
+ */
+function toFullSizeAmazonImageUrl(url) {
+  return url.replace(/\._[^/]*_\.(jpe?g|png|webp)$/i, '.$1');
+}
+
+/**
+ * Pick the largest entry from an image's data-a-dynamic-image map of URL to [width, height]
+ * @param {HTMLImageElement} img - Image element
+ * @returns {string|null} - Image URL, or null when the attribute is missing
+ */
+function largestDynamicImage(img) {
+  try {
+    const sizes = JSON.parse(img.getAttribute('data-a-dynamic-image') || '{}');
+    const [largest] = Object.entries(sizes).sort(
+      ([, a], [, b]) => b[0] * b[1] - a[0] * a[1]
+    );
+    return largest ? largest[0] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a JSON value embedded in an inline script, right after a marker
+ * Inline data blocks are JavaScript, not JSON, so the value is cut out by matching brackets
+ * @param {RegExp} marker - Pattern matching the text right before the value
+ * @param {string} open - Opening bracket of the value, '{' or '['
+ * @returns {*} - Parsed value, or null when no script has a parseable value
+ */
+function findScriptJson(marker, open) {
+  const close = open === '{' ? '}' : ']';
+
+  for (const script of document.querySelectorAll('script:not([src])')) {
+    const text = script.textContent;
+    const match = marker.exec(text);
+    if (!match) {
+      continue;
+    }
+    const start = text.indexOf(open, match.index + match[0].length);
+    if (start === -1) {
+      continue;
+    }
+
+    let depth = 0;
+    let quote = null;
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+      if (quote) {
+        if (char === '\\') {
+          i++;
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '"') {
+        quote = char;
+      } else if (char === open) {
+        depth++;
+      } else if (char === close && --depth === 0) {
+        try {
+          // Blocks inside jQuery.parseJSON('...') escape their single quotes
+          return JSON.parse(text.slice(start, i + 1).replace(/\\'/g, "'"));
+        } catch (error) {
+          break;
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Shopify storefronts on any domain
+ * Products are read from the store's structured data (embedded ProductJson or /products/<handle>.js)
+ * rather than theme-specific markup, so one adapter covers every theme
+ */
+class ShopifyAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.id = 'shopify';
+    this.productCache = new Map(); // Product JSON by handle
+  }
+
+  /**
+   * Whether the current page is served by Shopify
+   * @param {Document} doc - Page document
+   * @returns {boolean} - True for Shopify storefronts
+   */
+  static detect(doc) {
+    return Boolean(
+      doc.querySelector(
+        [
+          'meta[name="shopify-checkout-api-token"]',
+          'meta[name="shopify-digital-wallet"]',
+          'script#shopify-features',
+          'script[src*="cdn.shopify.com"]',
+          'link[href*="cdn.shopify.com"]',
+        ].join(',')
+      )
+    );
+  }
+
+  getProductCardSelectors() {
+    return [
+      '.product-card-wrapper', // Dawn collection card
+      '.card-wrapper', // Dawn card
+      '.product-card', // Common theme card
+      '.product-item', // Common theme card
+      '.grid-product', // Brooklyn/Narrative card
+      '.grid__item[data-product-id]', // Older themes
+      '[data-section-type="product"]', // Product detail section
+      'section[id*="MainProduct"]', // Dawn product detail section
+      '.product-single', // Older themes product detail
+    ];
+  }
+
+  getProductImageSelectors() {
+    return [
+      '.product__media img', // Dawn product detail media
+      '.card__media img', // Dawn collection card media
+      'img[src*="/cdn/shop/"]', // Store-domain CDN
+      'img[src*="cdn.shopify.com"]', // Shopify CDN
+    ];
+  }
+
+  getSliderImageSelectors() {
+    return ['.product__media img', '.card__media img'];
+  }
+
+  getFallbackImageSelectors() {
+    return ['img[src*="/cdn/shop/"]', 'img[src*="cdn.shopify.com"]'];
+  }
+
+  getTitleSelectors() {
+    return [
+      '.product__title', // Dawn product detail title
+      '.card__heading', // Dawn collection card title
+      '.product-single__title', // Older themes product detail title
+      'h1',
+    ];
+  }
+
+  getPriceSelectors() {
+    return ['.price-item--sale', '.price-item--regular', '.price', '.money'];
+  }
+
+  /**
+   * Find the product URL a card points at, or the current page for product detail sections
+   * @param {Element} productCard - The product card element
+   * @returns {URL|null} - Product URL, or null when the card doesn't link to a product
+   */
+  getProductUrl(productCard) {
+    const link =
+      productCard.querySelector('a[href*="/products/"]') ||
+      productCard.closest('a[href*="/products/"]');
+    const url = new URL(
+      link ? link.getAttribute('href') : window.location.href,
+      window.location.href
+    );
+    return /\/products\/[^/?#]+/.test(url.pathname) ? url : null;
+  }
+
+  /**
+   * Load a product's JSON, preferring data already embedded in the page
+   * @param {URL} productUrl - Product page URL
+   * @returns {Promise<Object>} - Shopify product object
+   */
+  async loadProduct(productUrl) {
+    const [productPath, handle] = productUrl.pathname.match(
+      /^.*\/products\/([^/?#]+)/
+    );
+
+    if (!this.productCache.has(handle)) {
+      const embedded = this.getEmbeddedProduct();
+      if (embedded && embedded.handle === handle) {
+        this.productCache.set(handle, embedded);
+      } else {
+        // Keeps any locale prefix, e.g. /en-in/products/<handle>.js
+        const response = await fetch(`${productPath}.js`, {
+          credentials: 'same-origin',
+        });
+        if (!response.ok) {
+          throw new Error(`Failed to load product data: ${response.status}`);
+        }
+        this.productCache.set(handle, await response.json());
+      }
+    }
+    return this.productCache.get(handle);
+  }
+
+  /**
+   * Read the product JSON themes embed on product pages
+   * @returns {Object|null} - Shopify product object, or null when the page has none
+   */
+  getEmbeddedProduct() {
+    const scripts = document.querySelectorAll(
+      'script[id^="ProductJson"], script[data-product-json]'
+    );
+    for (const script of scripts) {
+      try {
+        const product = JSON.parse(script.textContent);
+        // Some themes wrap the product with extra state
+        return product.product || product;
+      } catch (error) {
+        console.warn('Failed to parse embedded product JSON:', error);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build product details from Shopify's structured data
+   * Falls back to the page markup when the product JSON can't be loaded
+   */
+  async getProductDetails(productCard) {
+    const productUrl = this.getProductUrl(productCard);
+    if (!productUrl) {
+      return await super.getProductDetails(productCard);
+    }
+
+    let product;
+    try {
+      product = await this.loadProduct(productUrl);
+    } catch (error) {
+      console.warn('Falling back to page markup for Shopify product:', error);
+      return await super.getProductDetails(productCard);
+    }
+
+    const variants = product.variants || [];
+    const variantId = Number(productUrl.searchParams.get('variant'));
+    const variant =
+      variants.find((candidate) => candidate.id === variantId) ||
+      variants[0] ||
+      null;
+
+    // Shopify lists options as names (.js endpoint) or {name, values} objects (embedded JSON)
+    const optionNames = (product.options || []).map((option) =>
+      typeof option === 'string' ? option : option.name
+    );
+    const colorIndex = optionNames.findIndex((name) => /colou?r/i.test(name));
+
+    // Selected variant's image first, then every other product and variant image
+    const images = [
+      variant && variant.featured_image && variant.featured_image.src,
+      ...(product.images || []).map((image) =>
+        typeof image === 'string' ? image : image.src
+      ),
+      ...variants.map(
+        (candidate) =>
+          candidate.featured_image && candidate.featured_image.src
+      ),
+    ]
+      .filter(Boolean)
+      .map((src) => new URL(src, window.location.href).href);
+
+    return {
+      name: product.title || '',
+      brand: product.vendor || '',
+      price: formatShopifyPrice(variant ? variant.price : product.price),
+      color:
+        variant && colorIndex !== -1 ? variant[`option${colorIndex + 1}`] : '',
+      articleType: product.type || '',
+      images: [...new Set(images)],
+      variants: variants.map((candidate) => ({
+        id: candidate.id,
+        title: candidate.title,
+        price: formatShopifyPrice(candidate.price),
+        available: candidate.available !== false,
+        image:
+          candidate.featured_image &&
+          new URL(candidate.featured_image.src, window.location.href).href,
+      })),
+    };
+  }
+}
+
+/**
+ * Format a Shopify price, which the product JSON gives in minor units (cents/paise)
+ * @param {number|string} price - Price in minor units
+ * @returns {string} - Price in the store's currency, or an empty string when missing
+ */
+function formatShopifyPrice(price) {
+  if (price === undefined || price === null || price === '') {
+    return '';
+  }
+  const currencyMeta = document.querySelector(
+    'meta[property="og:price:currency"], meta[property="product:price:currency"]'
+  );
+  return formatPrice(
+    Number(price) / 100,
+    currencyMeta && currencyMeta.getAttribute('content')
+  );
+}
+
+/**
+ * Format a price with its currency
+ * @param {number} amount - Price in major units
+ * @param {string} [currency] - ISO 4217 currency code
+ * @returns {string} - Localized price, or the bare amount when the currency is unknown
+ */
+function formatPrice(amount, currency) {
+  if (!Number.isFinite(amount)) {
+    return '';
+  }
+  if (!currency) {
+    return amount.toFixed(2);
+  }
+  try {
+    return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+      style: 'currency',
+      currency,
+    }).format(amount);
+  } catch (error) {
+    return `${currency} ${amount.toFixed(2)}`;
+  }
+}
+
+/**
+ * Read the product described by the page's structured data
+ * Combines schema.org JSON-LD, microdata and OpenGraph, in that order of preference
+ * @returns {{name: string, brand: string, price: string, color: string, category: string, images: Array<string>}|null} - Product, or null when the page describes none
+ */
+function readStructuredProduct() {
+  // Like JSON-LD, page-level microdata only counts when it describes a single product
+  const scopes = document.querySelectorAll('[itemtype*="schema.org/Product"]');
+  const sources = [
+    readJsonLdProduct(),
+    scopes.length === 1 ? readMicrodataProduct(scopes[0]) : null,
+    readOpenGraphProduct(),
+  ].filter(Boolean);
+  if (sources.length === 0) {
+    return null;
+  }
+
+  const product = {};
+  for (const field of ['name', 'brand', 'price', 'color', 'category']) {
+    const source = sources.find((candidate) => candidate[field]);
+    product[field] = source ? source[field] : '';
+  }
+  const imageSource = sources.find((candidate) => candidate.images.length > 0);
+  product.images = imageSource ? imageSource.images : [];
+  return product;
+}
+
+/**
+ * Read the single schema.org Product in the page's JSON-LD
+ * Pages listing several products (search, collections) are ignored
+ * @returns {Object|null} - Product fields, or null when there isn't exactly one product
+ */
+function readJsonLdProduct() {
+  const products = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) {
+      node.forEach(visit);
+    } else if (node && typeof node === 'object') {
+      const types = [].concat(node['@type'] || []);
+      if (types.includes('Product') || types.includes('ProductGroup')) {
+        products.push(node);
+      } else {
+        visit(node['@graph']);
+        visit(node.mainEntity);
+      }
+    }
+  };
+
+  document
+    .querySelectorAll('script[type="application/ld+json"]')
+    .forEach((script) => {
+      try {
+        visit(JSON.parse(script.textContent));
+      } catch (error) {
+        console.warn('Failed to parse JSON-LD:', error);
+      }
+    });
+  if (products.length !== 1) {
+    return null;
+  }
+
+  // Product groups keep images and offers on their variants
+  const [node] = products;
+  const variant = [].concat(node.hasVariant || [])[0] || {};
+  const offers = [].concat(node.offers || variant.offers || [])[0] || {};
+  const brand = [].concat(node.brand || [])[0];
+
+  return {
+    name: node.name || '',
+    brand: (brand && (typeof brand === 'string' ? brand : brand.name)) || '',
+    price: formatPrice(
+      parseFloat(offers.price ?? offers.lowPrice),
+      offers.priceCurrency
+    ),
+    color: node.color || variant.color || '',
+    category: [].concat(node.category || []).join(' '),
+    images: toAbsoluteImageUrls(node.image || variant.image),
+  };
+}
+
+/**
+ * Read a schema.org Product marked up with microdata
+ * @param {Element|null} scope - Element with itemscope and a Product itemtype
+ * @returns {Object|null} - Product fields, or null without a scope
+ */
+function readMicrodataProduct(scope) {
+  if (!scope) {
+    return null;
+  }
+
+  // Only properties of this item, not of nested items like offers or brand
+  const props = (root, name) =>
+    Array.from(root.querySelectorAll(`[itemprop~="${name}"]`)).filter(
+      (element) => element.parentElement.closest('[itemscope]') === root
+    );
+  const value = (element) =>
+    element
+      ? element.getAttribute('content') ||
+        element.getAttribute('src') ||
+        element.getAttribute('href') ||
+        element.textContent.trim()
+      : '';
+
+  const [brand] = props(scope, 'brand');
+  const [offers] = props(scope, 'offers');
+  const brandName =
+    brand && brand.hasAttribute('itemscope')
+      ? value(props(brand, 'name')[0])
+      : value(brand);
+
+  return {
+    name: value(props(scope, 'name')[0]),
+    brand: brandName,
+    price: offers
+      ? formatPrice(
+          parseFloat(value(props(offers, 'price')[0])),
+          value(props(offers, 'priceCurrency')[0])
+        )
+      : '',
+    color: value(props(scope, 'color')[0]),
+    category: value(props(scope, 'category')[0]),
+    images: toAbsoluteImageUrls(props(scope, 'image').map(value)),
+  };
+}
+
+/**
+ * Read OpenGraph product tags (og:title, og:image, product:price:amount, ...)
+ * @returns {Object|null} - Product fields, or null when the page isn't an OpenGraph product
+ */
+function readOpenGraphProduct() {
+  const meta = (property) =>
+    Array.from(
+      document.querySelectorAll(`meta[property="${property}"]`),
+      (element) => element.getAttribute('content')
+    ).filter(Boolean);
+  const first = (...properties) =>
+    properties.map((property) => meta(property)[0]).find(Boolean) || '';
+
+  const amount = first('product:price:amount', 'og:price:amount');
+  if (!/product/i.test(first('og:type')) && !amount) {
+    return null;
+  }
+
+  return {
+    name: first('og:title'),
+    brand: first('product:brand', 'og:brand'),
+    price: formatPrice(
+      parseFloat(amount),
+      first('product:price:currency', 'og:price:currency')
+    ),
+    color: first('product:color'),
+    category: first('product:category'),
+    images: toAbsoluteImageUrls([
+      ...meta('og:image:secure_url'),
+      ...meta('og:image'),
+    ]),
+  };
+}
+
+/**
+ * Normalize schema.org image values (URL strings, ImageObjects or arrays of either)
+ * @param {*} images - Image value(s)
+ * @returns {Array<string>} - Unique absolute http(s) URLs
+ */
+function toAbsoluteImageUrls(images) {
+  const urls = []
+    .concat(images || [])
+    .map((image) =>
+      typeof image === 'string'
+        ? image
+        : image && (image.url || image.contentUrl)
+    )
+    .filter(Boolean)
+    .map((url) => new URL(url, window.location.href).href)
+    .filter((url) => url.startsWith('http'));
+  return [...new Set(urls)];
+}
+
+/**
+ * Key for matching the same image across sizes and CDN variants: the file name without extension or size suffix
+ * @param {string} url - Image URL
+ * @returns {string} - Lowercased key
+ */
+function imageKey(url) {
+  const fileName = new URL(url, window.location.href).pathname.split('/').pop();
+  return fileName
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/[_-]\d+x\d*$/i, '')
+    .toLowerCase();
+}
+
+/**
+ * Fallback for retailers without a dedicated adapter
+ * Only matches explicitly marked-up products so arbitrary pages don't get Try On buttons.
+ * Product records come from schema.org JSON-LD, microdata and OpenGraph where the page has them,
+ * with the generic selectors filling any gaps
+ */
+class GenericAdapter extends SiteAdapter {
+  constructor() {
+    super();
+    this.pageProduct = null;
+    this.pageProductUrl = null; // Page the cached product was read from, SPAs change it
+  }
+
+  getProductCardSelectors() {
+    return [
+      '[itemtype*="schema.org/Product"]', // Microdata product
+      '[data-product-id]:not([data-product-id=""])', // Common product ID attribute
+      '[data-productid]:not([data-productid=""])', // Common product ID attribute
+      '[data-style-me-product]', // Main image of a structured-data product page
+    ];
+  }
+
+  /**
+   * Read the page's structured product, once per URL
+   * @returns {Object|null} - See readStructuredProduct()
+   */
+  getPageProduct() {
+    if (this.pageProductUrl !== window.location.href) {
+      this.pageProduct = readStructuredProduct();
+      this.pageProductUrl = window.location.href;
+    }
+    return this.pageProduct;
+  }
+
+  /**
+   * Tag the main image's container on product pages whose only markup is JSON-LD or OpenGraph,
+   * so the Try On button has a card to attach to
+   */
+  prepareCards() {
+    const product = this.getPageProduct();
+    if (
+      !product ||
+      product.images.length === 0 ||
+      document.querySelector('[data-style-me-product]')
+    ) {
+      return;
+    }
+
+    const keys = new Set(product.images.map(imageKey));
+    const mainImage = Array.from(document.images).find(
+      (img) => img.src && keys.has(imageKey(img.currentSrc || img.src))
+    );
+    if (mainImage && mainImage.parentElement) {
+      mainImage.parentElement.dataset.styleMeProduct = 'true';
+    }
+  }
+
+  /**
+   * Find structured data describing a card's product
+   * @param {Element} productCard - The product card element
+   * @returns {Object|null} - See readStructuredProduct()
+   */
+  getStructuredProduct(productCard) {
+    if (productCard.matches('[itemtype*="schema.org/Product"]')) {
+      return readMicrodataProduct(productCard);
+    }
+
+    const product = this.getPageProduct();
+    if (!product) {
+      return null;
+    }
+    if (productCard.matches('[data-style-me-product]')) {
+      return product;
+    }
+
+    // Page-level data describes the main product, not related products shown next to it
+    const keys = new Set(product.images.map(imageKey));
+    const cardImages = Array.from(productCard.querySelectorAll('img'));
+    return cardImages.some((img) => img.src && keys.has(imageKey(img.src)))
+      ? product
+      : null;
+  }
+
+  async getProductDetails(productCard) {
+    const details = await super.getProductDetails(productCard);
+    const structured = this.getStructuredProduct(productCard);
+    if (!structured) {
+      return details;
+    }
+
+    return {
+      name: structured.name || details.name,
+      brand: structured.brand || details.brand,
+      price: structured.price || details.price,
+      color: structured.color || details.color,
+      articleType: structured.category || details.articleType,
+      images:
+        structured.images.length > 0 ? structured.images : details.images,
+    };
+  }
+
+  getProductImageSelectors() {
+    return ['[itemprop="image"]', 'img[src*="product"]', 'img'];
+  }
+
+  getSliderImageSelectors() {
+    return ['[itemprop="image"]'];
+  }
+
+  getFallbackImageSelectors() {
+    return ['img'];
+  }
+
+  getTitleSelectors() {
+    return ['[itemprop="name"]', 'h1', 'h2', 'h3', 'a[title]'];
+  }
+
+  getPriceSelectors() {
+    return ['[itemprop="price"]', '[class*="price" i]'];
+  }
+}
+
+/**
+ * Registry of site adapters, keyed by hostname
+ * Subdomains resolve to their parent's adapter (www.myntra.com -> myntra.com)
+ */
+const SITE_ADAPTERS = {
+  'myntra.com': MyntraAdapter,
+  'ajio.com': AjioAdapter,
+  'amazon.in': AmazonAdapter,
+  'amazon.com': AmazonAdapter,
+};
+
+/**
+ * Adapters for platforms that run on any domain, detected from the page itself
+ * Checked in order when no hostname matches
+ */
+const DETECTED_SITE_ADAPTERS = [ShopifyAdapter];
+
+/**
+ * Pick the adapter for a hostname
+ * @param {string} hostname - Page hostname
+ * @returns {SiteAdapter} - Matching adapter, or the generic adapter
+ */
+function getSiteAdapter(hostname) {
+  const labels = hostname.toLowerCase().split('.');
+  for (let i = 0; i < labels.length - 1; i++) {
+    const Adapter = SITE_ADAPTERS[labels.slice(i).join('.')];
+    if (Adapter) {
+      return new Adapter();
+    }
+  }
+
+  const Detected = DETECTED_SITE_ADAPTERS.find((Adapter) =>
+    Adapter.detect(document)
+  );
+  return Detected ? new Detected() : new GenericAdapter();
+}
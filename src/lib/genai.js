@@ -0,0 +1,6 @@
+/**
+ * Style Me Chrome Extension - Gemini SDK bundle entry
+ * The classic background service worker can't import npm packages, so the build bundles
+ * this module into lib/genai.js, which exposes the SDK as the `genai` global for importScripts()
+ */
+export { ApiError, GoogleGenAI } from '@google/genai';
@@ -0,0 +1,151 @@
+/**
+ * Style Me Chrome Extension - Offscreen Document
+ * Owns canvas work (compositing, resizing and format conversion) off the shopping page's main thread
+ * Only the background talks to this document, see runOffscreenTask() there
+ */
+
+/**
+ * Loads an image into a bitmap, applying its EXIF orientation
+ * @param {string} imageUrl - Image URL or base64 data URL
+ * @returns {Promise<ImageBitmap>} - Decoded image
+ */
+async function loadBitmap(imageUrl) {
+  const response = await fetch(imageUrl);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image: ${response.status}`);
+  }
+  return await createImageBitmap(await response.blob(), {
+    imageOrientation: 'from-image',
+  });
+}
+
+/**
+ * Create a composite image from multiple product images
+ * Images are laid out in a grid, cropped to fill square cells
+ * @param {Array<string>} imageUrls - Array of image URLs
+ * @param {{imagesPerRow?: number, cellSize?: number}} [options] - Grid layout
+ * @returns {Promise<string>} - Base64 PNG data URL of the composite image
+ */
+async function createCompositeImage(
+  imageUrls,
+  { imagesPerRow = 3, cellSize = 240 } = {}
+) {
+  // No padding between images
+  const rows = Math.ceil(imageUrls.length / imagesPerRow);
+  const canvas = document.createElement('canvas');
+  canvas.width = imagesPerRow * cellSize;
+  canvas.height = rows * cellSize;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+  const bitmaps = await Promise.allSettled(imageUrls.map(loadBitmap));
+
+  bitmaps.forEach((result, index) => {
+    const x = (index % imagesPerRow) * cellSize;
+    const y = Math.floor(index / imagesPerRow) * cellSize;
+
+    if (result.status === 'rejected') {
+      console.warn(`Failed to load image: ${imageUrls[index]}`, result.reason);
+
+      // Draw placeholder for failed image
+      ctx.fillStyle = '#e9ecef';
+      ctx.fillRect(x, y, cellSize, cellSize);
+      ctx.fillStyle = '#6c757d';
+      ctx.font = '14px Arial';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText('Image Failed', x + cellSize / 2, y + cellSize / 2);
+      return;
+    }
+
+    // Crop to the cell's square aspect ratio so every cell is filled
+    const img = result.value;
+    let sx = 0,
+      sy = 0,
+      sw = img.width,
+      sh = img.height;
+    if (img.width > img.height) {
+      sw = img.height;
+      sx = (img.width - sw) / 2;
+    } else if (img.width < img.height) {
+      sh = img.width;
+      sy = (img.height - sh) / 2;
+    }
+    ctx.drawImage(img, sx, sy, sw, sh, x, y, cellSize, cellSize);
+    img.close();
+  });
+
+  // Use PNG for lossless quality
+  return canvas.toDataURL('image/png');
+}
+
+/**
+ * Resizes an image to fit a maximum edge and re-encodes it
+ * Re-encoding also drops EXIF and other metadata
+ * @param {string} imageUrl - Image URL or base64 data URL
+ * @param {{maxEdge?: number, mimeType?: string, quality?: number}} [options] - Longest allowed edge, output format and JPEG quality
+ * @returns {Promise<{imageUrl: string, width: number, height: number, sourceWidth: number, sourceHeight: number}>} - Re-encoded image and its size before and after
+ */
+async function resizeImage(
+  imageUrl,
+  { maxEdge = Infinity, mimeType = 'image/png', quality } = {}
+) {
+  const bitmap = await loadBitmap(imageUrl);
+  const sourceWidth = bitmap.width;
+  const sourceHeight = bitmap.height;
+  const scale = Math.min(1, maxEdge / Math.max(sourceWidth, sourceHeight));
+  const width = Math.max(1, Math.round(sourceWidth * scale));
+  const height = Math.max(1, Math.round(sourceHeight * scale));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  if (mimeType === 'image/jpeg') {
+    // JPEG has no alpha, flatten transparent WebP/GIF product shots onto white
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, width, height);
+  }
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  return {
+    imageUrl: canvas.toDataURL(mimeType, quality),
+    width,
+    height,
+    sourceWidth,
+    sourceHeight,
+  };
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  // Content scripts broadcast to every extension page, only handle our own tasks
+  if (message.target !== 'offscreen') {
+    return false;
+  }
+
+  let task;
+  if (message.type === 'COMPOSITE_IMAGES') {
+    task = createCompositeImage(message.imageUrls || [], message.options);
+  } else if (message.type === 'RESIZE_IMAGE') {
+    task = resizeImage(message.imageUrl, message.options);
+  } else {
+    sendResponse({
+      success: false,
+      error: `Unknown offscreen task: ${message.type}`,
+    });
+    return false;
+  }
+
+  task
+    .then((result) => {
+      sendResponse({ success: true, result });
+    })
+    .catch((error) => {
+      console.error(`Offscreen task ${message.type} failed:`, error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true; // Keep message channel open for async response
+});
@@ -0,0 +1,34 @@
+/**
+ * Style Me Chrome Extension - Endpoint Permission Page
+ * Asks for host access to user-configured endpoints, opened by the background when settings are saved
+ * chrome.permissions.request needs a user gesture in an extension page, which
+ * neither the content script nor the service worker can provide
+ */
+
+const origins = new URLSearchParams(window.location.search)
+  .getAll('origin')
+  .filter(Boolean);
+
+const originList = document.getElementById('origins');
+origins.forEach((origin) => {
+  const code = document.createElement('code');
+  code.textContent = origin;
+  originList.appendChild(code);
+});
+
+document.getElementById('grant-button').addEventListener('click', async () => {
+  const status = document.getElementById('status');
+  try {
+    const granted = await chrome.permissions.request({ origins });
+    if (granted) {
+      status.textContent = 'Access granted. You can close this window.';
+      setTimeout(() => window.close(), 1000);
+    } else {
+      status.textContent =
+        'Access denied. Requests to this endpoint may fail unless it allows cross-origin requests.';
+    }
+  } catch (error) {
+    console.error('Error requesting host permission:', error);
+    status.textContent = `Error: ${error.message}`;
+  }
+});
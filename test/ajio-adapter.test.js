@@ -0,0 +1,78 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { describe, it } from 'node:test';
+import { loadSiteAdapters } from './helpers/load-site-adapters.js';
+
+/**
+ * Loads an Ajio fixture page and reads every product card on it
+ * @param {string} name - Fixture file name without extension
+ * @param {string} url - URL the fixture was trimmed from
+ * @returns {Promise<{adapterId: string, products: Array<Object>}>} - Adapter id and product details per card
+ */
+async function readFixture(name, url) {
+  const html = readFileSync(
+    new URL(`../fixtures/ajio/${name}.html`, import.meta.url),
+    'utf8'
+  );
+  const { document, getSiteAdapter } = loadSiteAdapters(html, url);
+  const adapter = getSiteAdapter(new URL(url).hostname);
+  const cards = document.querySelectorAll(
+    adapter.getProductCardSelectors().join(',')
+  );
+
+  const products = [];
+  for (const card of cards) {
+    const details = await adapter.getProductDetails(card);
+    products.push({ ...details, images: [...details.images] });
+  }
+  return { adapterId: adapter.id, products };
+}
+
+describe('AjioAdapter', () => {
+  it('reads listing cards, including lazy images', async () => {
+    const { adapterId, products } = await readFixture(
+      'listing',
+      'https://www.ajio.com/men-tshirts/c/830216014'
+    );
+
+    assert.equal(adapterId, 'ajio');
+    assert.equal(products.length, 2);
+
+    const [tshirt, jeans] = products;
+    assert.equal(tshirt.name, 'Slim Fit Crew-Neck T-shirt');
+    assert.equal(tshirt.brand, 'NETPLAY');
+    assert.equal(tshirt.price, '₹399');
+    assert.equal(tshirt.articleType, '');
+    assert.deepEqual(tshirt.images, [
+      'https://assets.ajio.com/medias/sys_master/root/20231010/aB1c/6525e6f3afa4cf41f5467a1d/-473Wx593H-469581367-navy-MODEL.jpg',
+    ]);
+
+    assert.equal(jeans.name, 'Relaxed Fit Jeans');
+    assert.equal(jeans.price, '₹699');
+    assert.deepEqual(jeans.images, [
+      'https://assets.ajio.com/medias/sys_master/root/20230624/Xy9z/6496f1cd42f9e729d7b1a1e0/-473Wx593H-441133957-blue-MODEL.jpg',
+    ]);
+  });
+
+  it('reads the product page with its gallery and breadcrumb', async () => {
+    const { products } = await readFixture(
+      'product',
+      'https://www.ajio.com/netplay-slim-fit-crew-neck-t-shirt/p/469581367_navy'
+    );
+
+    assert.equal(products.length, 1);
+    const [product] = products;
+    assert.equal(product.name, 'Slim Fit Crew-Neck T-shirt');
+    assert.equal(product.brand, 'NETPLAY');
+    assert.equal(product.price, '₹399');
+    assert.equal(product.articleType, 'T-Shirts');
+    assert.deepEqual(
+      product.images.map((url) => url.split('/').pop()),
+      [
+        '-473Wx593H-469581367-navy-MODEL.jpg',
+        '-473Wx593H-469581367-navy-MODEL2.jpg',
+        '-473Wx593H-469581367-navy-MODEL3.jpg',
+      ]
+    );
+  });
+});
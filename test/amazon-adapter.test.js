@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { setTimeout as delay } from 'node:timers/promises';
+import { loadSiteAdapters } from './helpers/load-site-adapters.js';
+
+const IMAGE_BASE = 'https://m.media-amazon.com/images/I';
+
+const PRODUCT_PAGE = `
+  <div id="variation_color_name">
+    <span class="selection">Navy</span>
+  </div>
+  <div id="main-image-container">
+    <img id="landingImage" src="${IMAGE_BASE}/navy-1._AC_SX342_.jpg" />
+  </div>
+  <script type="text/x-data">
+    var data = {"colorImages": {
+      "Navy": [{"hiRes": "${IMAGE_BASE}/navy-1.jpg"}, {"hiRes": "${IMAGE_BASE}/navy-2.jpg"}],
+      "Black": [{"hiRes": "${IMAGE_BASE}/black-1.jpg"}]
+    }};
+  </script>
+`;
+
+describe('AmazonAdapter', () => {
+  it('reads the gallery of the selected colour', async () => {
+    const { document, getSiteAdapter } = loadSiteAdapters(
+      PRODUCT_PAGE,
+      'https://www.amazon.in/dp/B0TEST1234'
+    );
+    const adapter = getSiteAdapter('www.amazon.in');
+    const card = document.querySelector('#main-image-container');
+
+    assert.deepEqual(
+      [...(await adapter.getProductDetails(card)).images],
+      [`${IMAGE_BASE}/navy-1.jpg`, `${IMAGE_BASE}/navy-2.jpg`]
+    );
+
+    document.querySelector('#variation_color_name .selection').textContent =
+      'Black';
+    assert.deepEqual(
+      [...(await adapter.getProductDetails(card)).images],
+      [`${IMAGE_BASE}/black-1.jpg`]
+    );
+  });
+
+  it('reports the image block when another colour is picked', async () => {
+    const { document, getSiteAdapter } = loadSiteAdapters(
+      PRODUCT_PAGE,
+      'https://www.amazon.in/dp/B0TEST1234'
+    );
+    const changed = [];
+    getSiteAdapter('www.amazon.in').watchCards((card) => changed.push(card));
+
+    // Amazon updates the selection label and the main image together
+    document.querySelector('#variation_color_name .selection').textContent =
+      'Black';
+    document.querySelector(
+      '#landingImage'
+    ).src = `${IMAGE_BASE}/black-1._AC_SX342_.jpg`;
+    await delay(200);
+
+    assert.equal(changed.length, 1);
+    assert.equal(changed[0].id, 'main-image-container');
+
+    // Unrelated mutations don't report the card again
+    document.body.appendChild(document.createElement('div'));
+    await delay(200);
+    assert.equal(changed.length, 1);
+  });
+});
@@ -0,0 +1,67 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './helpers/load-background.js';
+import { loadSiteAdapters } from './helpers/load-site-adapters.js';
+
+const { detectGarmentCategory } = loadBackground(['detectGarmentCategory']);
+
+describe('detectGarmentCategory', () => {
+  const cases = [
+    ['Dress with Belt', 'dress'],
+    ['Cap Sleeve Top', 'topwear'],
+    ['Floral Shirt Dress', 'dress'],
+    ['Denim Jacket', 'outerwear'],
+    ['Slim Fit Jeans', 'bottomwear'],
+    ['Running Shoes', 'footwear'],
+    ['Leather Belt', 'accessory'],
+    ['Baseball Cap', 'accessory'],
+    ['Aviator Sunglasses', 'accessory'],
+    ['Silk Saree', 'ethnic'],
+    ['Something New', 'apparel'],
+  ];
+
+  for (const [name, category] of cases) {
+    it(`detects "${name}" as ${category}`, () => {
+      assert.equal(detectGarmentCategory({ name }), category);
+    });
+  }
+
+  it('prefers the article type over the name', () => {
+    assert.equal(
+      detectGarmentCategory({ name: 'Belt Detail', articleType: 'tshirts' }),
+      'topwear'
+    );
+  });
+
+  it('keeps an explicit category', () => {
+    assert.equal(
+      detectGarmentCategory({ name: 'Dress with Belt', category: 'accessory' }),
+      'accessory'
+    );
+  });
+});
+
+describe('article type from breadcrumbs', () => {
+  it('uses only the leaf of the trail', () => {
+    const { document, getSiteAdapter } = loadSiteAdapters(
+      `<div class="breadcrumb-sec">
+        <ul>
+          <li><a href="/">Home</a></li>
+          <li><a href="/women">Women</a></li>
+          <li><a href="/women-shoes-bags">Shoes &amp; Bags</a></li>
+          <li><a href="/women-handbags/c/830307001">Handbags</a></li>
+        </ul>
+      </div>
+      <div class="prod-container"></div>`,
+      'https://www.ajio.com/quilted-sling-bag/p/469581234_black'
+    );
+    const card = document.querySelector('.prod-container');
+    const articleType = getSiteAdapter('www.ajio.com').getArticleType(card);
+
+    assert.equal(articleType, 'Handbags');
+    assert.equal(
+      detectGarmentCategory({ name: 'Quilted Sling', articleType }),
+      'accessory'
+    );
+  });
+});
@@ -0,0 +1,121 @@
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, it } from 'node:test';
+import * as genai from '@google/genai';
+import { loadBackground } from './helpers/load-background.js';
+
+const PNG_DATA =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const PNG_URL = `data:image/png;base64,${PNG_DATA}`;
+
+const json = (body, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' },
+  });
+
+// The SDK runs in this realm, so it uses this realm's fetch rather than the worker's
+const realFetch = globalThis.fetch;
+let requests;
+let replies;
+
+beforeEach(() => {
+  requests = [];
+  replies = [];
+  globalThis.fetch = async (url, options) => {
+    requests.push({ url: String(url), body: JSON.parse(options.body) });
+    return replies.shift();
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+/**
+ * Loads the worker with the real SDK as its `genai` global
+ * @returns {Object} - Background bindings plus a Gemini provider
+ */
+function setup() {
+  const background = loadBackground(['chrome', 'createImageProvider'], {
+    genai,
+    // Prompt images are data URLs, resolved by the worker without the SDK
+    fetch: realFetch,
+  });
+  const provider = background.createImageProvider({
+    provider: 'gemini',
+    apiKey: 'test-key',
+  });
+  return { ...background, provider };
+}
+
+describe('GeminiProvider', () => {
+  it('sends the prompt through the SDK and returns the image', async () => {
+    const { chrome, provider } = setup();
+    replies.push(
+      json({
+        candidates: [
+          {
+            content: {
+              parts: [{ inlineData: { mimeType: 'image/png', data: PNG_DATA } }],
+            },
+          },
+        ],
+        usageMetadata: {
+          promptTokenCount: 100,
+          candidatesTokenCount: 1290,
+          totalTokenCount: 1390,
+        },
+      })
+    );
+
+    const image = await provider.generateImage({
+      system: 'Extract the garment',
+      stage: 'extraction',
+      parts: [
+        { type: 'image', url: PNG_URL, label: 'Product photo:' },
+        { type: 'text', text: 'Return only the garment' },
+      ],
+    });
+
+    assert.equal(image, PNG_URL);
+    assert.equal(requests.length, 1);
+    assert.match(
+      requests[0].url,
+      /\/models\/gemini-2\.5-flash-image-preview:generateContent$/
+    );
+    const { contents, systemInstruction, generationConfig } = requests[0].body;
+    assert.deepEqual(contents[0].parts, [
+      { text: 'Product photo:' },
+      { inlineData: { mimeType: 'image/png', data: PNG_DATA } },
+      { text: 'Return only the garment' },
+    ]);
+    assert.deepEqual(systemInstruction.parts, [{ text: 'Extract the garment' }]);
+    assert.deepEqual(generationConfig.responseModalities, ['TEXT', 'IMAGE']);
+
+    const { usageLog } = await chrome.storage.local.get('usageLog');
+    assert.equal(usageLog.length, 1);
+    assert.equal(usageLog[0].provider, 'Google Gemini');
+    assert.equal(usageLog[0].totalTokens, 1390);
+  });
+
+  it('turns SDK errors into provider errors', async () => {
+    const { provider } = setup();
+    replies.push(
+      json(
+        {
+          error: {
+            code: 429,
+            status: 'RESOURCE_EXHAUSTED',
+            details: [{ retryDelay: '7s' }],
+          },
+        },
+        429
+      )
+    );
+
+    await assert.rejects(provider.call(provider.buildRequest({ parts: [] })), {
+      kind: 'rate_limit',
+      retryAfterMs: 7000,
+    });
+  });
+});
@@ -0,0 +1,101 @@
+import { readFileSync } from 'node:fs';
+import vm from 'node:vm';
+
+const BACKGROUND_PATH = new URL(
+  '../../src/background/background.js',
+  import.meta.url
+);
+
+/**
+ * Minimal chrome.* stubs, enough for the service worker to start
+ * Storage hands out copies like the real API, so lost concurrent writes show up in tests
+ * @returns {Object} - Stubbed chrome namespace backed by an in-memory storage area
+ */
+function createChromeStub() {
+  const store = {};
+  const event = { addListener() {} };
+
+  return {
+    runtime: {
+      onMessage: event,
+      onInstalled: event,
+      onStartup: event,
+      getURL: (path) => `chrome-extension://test/${path}`,
+      getContexts: async () => [],
+      sendMessage: async () => ({}),
+    },
+    action: { onClicked: event },
+    alarms: { onAlarm: event, create() {}, clear: async () => true },
+    tabs: { sendMessage: async () => ({}) },
+    storage: {
+      local: {
+        get: async (keys) => {
+          if (keys == null) return structuredClone(store);
+          const result = {};
+          [].concat(keys).forEach((key) => {
+            if (key in store) result[key] = structuredClone(store[key]);
+          });
+          return result;
+        },
+        set: async (items) => Object.assign(store, structuredClone(items)),
+        remove: async (keys) => {
+          [].concat(keys).forEach((key) => delete store[key]);
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Minimal FileReader, which Node lacks, for reading blobs as data URLs
+ */
+class FileReader {
+  readAsDataURL(blob) {
+    blob
+      .arrayBuffer()
+      .then((buffer) => {
+        this.result = `data:${blob.type};base64,${Buffer.from(buffer).toString(
+          'base64'
+        )}`;
+        this.onloadend?.();
+      })
+      .catch((error) => this.onerror?.(error));
+  }
+}
+
+/**
+ * Loads the background service worker into its own context
+ * The worker is a classic script, so its top-level functions and classes are
+ * read back by name rather than imported
+ * @param {Array<string>} names - Top-level bindings to return
+ * @param {Object} [globals] - Extra or replacement globals, e.g. a stubbed fetch. Bundles the
+ *   worker loads with importScripts() aren't built for tests, pass them here instead (e.g. `genai`)
+ * @returns {Object} - The requested bindings by name
+ */
+export function loadBackground(names, globals = {}) {
+  const quiet = () => {};
+  const context = vm.createContext({
+    chrome: createChromeStub(),
+    importScripts: quiet,
+    console: { log: quiet, info: quiet, warn: quiet, error: quiet },
+    setInterval: () => 0,
+    clearInterval: quiet,
+    setTimeout,
+    clearTimeout,
+    fetch: async () => {
+      throw new Error('Network access is not available in tests');
+    },
+    AbortController,
+    DOMException,
+    Blob,
+    FileReader,
+    atob,
+    btoa,
+    ...globals,
+  });
+
+  vm.runInContext(readFileSync(BACKGROUND_PATH, 'utf8'), context, {
+    filename: BACKGROUND_PATH.pathname,
+  });
+  return vm.runInContext(`({ ${names.join(', ')} })`, context);
+}
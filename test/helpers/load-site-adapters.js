@@ -0,0 +1,23 @@
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const SITE_ADAPTERS_PATH = new URL(
+  '../../src/content/site-adapters.js',
+  import.meta.url
+);
+
+/**
+ * Loads the site adapters into a page, the way the content script runs on it
+ * @param {string} html - Page markup
+ * @param {string} url - Page URL, used for the hostname and relative links
+ * @returns {{window: Window, document: Document, getSiteAdapter: Function}} - The page and the adapter lookup
+ */
+export function loadSiteAdapters(html, url) {
+  const { window } = new JSDOM(html, { url, runScripts: 'outside-only' });
+  window.eval(readFileSync(SITE_ADAPTERS_PATH, 'utf8'));
+  return {
+    window,
+    document: window.document,
+    getSiteAdapter: window.eval('getSiteAdapter'),
+  };
+}
@@ -0,0 +1,150 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './helpers/load-background.js';
+
+const { findImageReferences, parseImageResponse, validateImageDataUrl } =
+  loadBackground([
+    'findImageReferences',
+    'parseImageResponse',
+    'validateImageDataUrl',
+  ]);
+
+// 1x1 images
+const PNG_DATA =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const GIF_DATA = 'R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7';
+const PNG_URL = `data:image/png;base64,${PNG_DATA}`;
+
+/**
+ * PNG with its header width set to zero
+ */
+function zeroWidthPng() {
+  const bytes = Buffer.from(PNG_DATA, 'base64');
+  bytes.writeUInt32BE(0, 16);
+  return `data:image/png;base64,${bytes.toString('base64')}`;
+}
+
+describe('findImageReferences', () => {
+  it('stops a data URL at the end of its base64 data', () => {
+    const text = `Here is the outfit: ${PNG_URL}\nLet me know if you want changes.`;
+    assert.deepEqual([...findImageReferences(text)], [PNG_URL]);
+  });
+
+  it('does not capture words after a space', () => {
+    const text = `${PNG_URL} Enjoy`;
+    assert.deepEqual([...findImageReferences(text)], [PNG_URL]);
+  });
+
+  it('reads markdown image links and image file links in order', () => {
+    const text = [
+      'First https://cdn.example.com/a.jpg?w=512 then',
+      '![result](https://cdn.example.com/render "Result")',
+    ].join('\n');
+    assert.deepEqual(
+      [...findImageReferences(text)],
+      ['https://cdn.example.com/a.jpg?w=512', 'https://cdn.example.com/render']
+    );
+  });
+
+  it('ignores links that are not images', () => {
+    const text = 'See https://example.com/docs and [shop](https://example.com)';
+    assert.deepEqual([...findImageReferences(text)], []);
+  });
+
+  it('returns each reference once', () => {
+    const text = '![a](https://cdn.example.com/a.png)';
+    assert.deepEqual(
+      [...findImageReferences(text)],
+      ['https://cdn.example.com/a.png']
+    );
+  });
+});
+
+describe('validateImageDataUrl', () => {
+  it('returns the format and dimensions of a valid image', () => {
+    const image = validateImageDataUrl(PNG_URL);
+    assert.equal(image.dataUrl, PNG_URL);
+    assert.equal(image.mimeType, 'image/png');
+    assert.equal(image.width, 1);
+    assert.equal(image.height, 1);
+  });
+
+  it('fixes a wrong declared MIME type', () => {
+    const image = validateImageDataUrl(`data:image/jpeg;base64,${GIF_DATA}`);
+    assert.equal(image.mimeType, 'image/gif');
+    assert.equal(image.dataUrl, `data:image/gif;base64,${GIF_DATA}`);
+  });
+
+  it('rejects data that is not an image', () => {
+    assert.throws(
+      () => validateImageDataUrl(`data:image/png;base64,${btoa('hello')}`),
+      /is not a PNG, JPEG, GIF or WebP image/
+    );
+  });
+
+  it('rejects invalid base64', () => {
+    assert.throws(
+      () => validateImageDataUrl('data:image/png;base64,%%%'),
+      /not valid base64/
+    );
+  });
+
+  it('rejects images with zero width', () => {
+    assert.throws(
+      () => validateImageDataUrl(zeroWidthPng()),
+      /zero width or height/
+    );
+  });
+});
+
+describe('parseImageResponse', () => {
+  const options = { providerName: 'Test' };
+
+  it('returns the first valid image the backend returned', async () => {
+    const image = await parseImageResponse(
+      { images: [zeroWidthPng(), PNG_URL] },
+      options
+    );
+    assert.equal(image, PNG_URL);
+  });
+
+  it('finds a data URL in the text', async () => {
+    const image = await parseImageResponse(
+      { text: `Done!\n${PNG_URL}\nHope you like it.` },
+      options
+    );
+    assert.equal(image, PNG_URL);
+  });
+
+  it('quotes the text when there is no image', async () => {
+    await assert.rejects(
+      parseImageResponse(
+        { text: 'I cannot edit photos of people.', reason: 'STOP' },
+        options
+      ),
+      (error) => {
+        assert.equal(error.kind, 'no_image');
+        assert.match(
+          error.message,
+          /^Test returned text instead of an image: "I cannot edit photos of people\."/
+        );
+        assert.match(error.message, /finish reason: STOP/);
+        return true;
+      }
+    );
+  });
+
+  it('reports rejected images', async () => {
+    await assert.rejects(
+      parseImageResponse({ images: [zeroWidthPng()] }, options),
+      (error) => {
+        assert.equal(error.kind, 'no_image');
+        assert.match(
+          error.message,
+          /^Test returned no image \[invalid image \(inline image: image has zero width or height\)\]$/
+        );
+        return true;
+      }
+    );
+  });
+});
@@ -0,0 +1,166 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './helpers/load-background.js';
+
+const PNG_URL =
+  'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+
+const RESULT = {
+  generatedImage: 'data:image/png;base64,b3V0Zml0',
+  candidates: ['data:image/png;base64,b3V0Zml0'],
+  promptVersions: {},
+};
+
+/**
+ * Loads the worker with data URL downloads only
+ * @returns {Object} - Background bindings
+ */
+function setup() {
+  return loadBackground(
+    ['styleMeBackground', 'GenerationJobQueue', 'generateOutfitImage'],
+    {
+      fetch: (url, options) => {
+        assert.ok(url.startsWith('data:'), `unexpected request to ${url}`);
+        return fetch(url, options);
+      },
+    }
+  );
+}
+
+/**
+ * Runs a queue's jobs with a stub and collects the finished ones
+ * Each queue stands for one worker instance, they share the storage of the loaded worker
+ * @param {Object} queue - Job queue, the worker's own one or a new one for a restarted worker
+ * @param {Function} runJob - Job runner
+ * @returns {{queue: Object, finished: Array<Object>, nextFinished: Function}} - Queue and its finished jobs
+ */
+function watchQueue(queue, runJob) {
+  const finished = [];
+  let onFinished = () => {};
+  queue.runJob = runJob;
+  queue.onJobFinished = (job) => {
+    finished.push(job);
+    onFinished(job);
+  };
+  const nextFinished = () =>
+    new Promise((resolve) => {
+      onFinished = resolve;
+    });
+  return { queue, finished, nextFinished };
+}
+
+describe('GenerationJobQueue', () => {
+  it('keeps the result until a tab has taken it', async () => {
+    const { styleMeBackground, GenerationJobQueue } = setup();
+    const first = watchQueue(styleMeBackground.jobQueue, async () => RESULT);
+
+    const done = first.nextFinished();
+    await first.queue.enqueue({ id: 'job-1', tabId: 7, data: {} });
+    const job = await done;
+    assert.equal(job.state, 'done');
+    assert.deepEqual(job.result, RESULT);
+
+    // The worker was terminated before the tab got the result
+    const second = watchQueue(new GenerationJobQueue(), async () => RESULT);
+    await second.queue.resume();
+    assert.equal(second.finished.length, 1);
+    assert.deepEqual(second.finished[0].result, RESULT);
+    assert.equal(second.finished[0].data, null);
+
+    // Alarms in the same worker don't report it again
+    await second.queue.resume();
+    assert.equal(second.finished.length, 1);
+
+    const taken = await second.queue.takeUndeliveredResult();
+    assert.deepEqual(taken.result, RESULT);
+    assert.equal(await second.queue.takeUndeliveredResult(), null);
+  });
+
+  it('drops delivered results', async () => {
+    const { styleMeBackground } = setup();
+    const { queue, nextFinished } = watchQueue(
+      styleMeBackground.jobQueue,
+      async () => RESULT
+    );
+
+    const done = nextFinished();
+    await queue.enqueue({ id: 'job-1', tabId: 7, data: {} });
+    await done;
+    await queue.markDelivered('job-1');
+
+    const jobs = await queue.getJobs();
+    assert.equal(jobs['job-1'].result, null);
+    assert.equal(await queue.takeUndeliveredResult(), null);
+  });
+
+  it('hands checkpoints to the resumed job', async () => {
+    const { styleMeBackground, GenerationJobQueue } = setup();
+
+    // The first worker saves a step, then gets terminated mid-generation
+    let saved;
+    const first = watchQueue(styleMeBackground.jobQueue, (job, context) => {
+      saved = context.onCheckpoint('extraction:abc', PNG_URL);
+      return new Promise(() => {});
+    });
+    await first.queue.enqueue({ id: 'job-1', tabId: 7, data: {} });
+    await saved;
+
+    let resumedJob;
+    const second = watchQueue(new GenerationJobQueue(), async (job) => {
+      resumedJob = job;
+      return RESULT;
+    });
+    const done = second.nextFinished();
+    await second.queue.resume();
+    const finishedJob = await done;
+
+    assert.equal(resumedJob.attempts, 2);
+    assert.equal(resumedJob.checkpoints['extraction:abc'], PNG_URL);
+    assert.equal(finishedJob.checkpoints, null);
+  });
+});
+
+describe('generateOutfitImage checkpoints', () => {
+  it('reuses saved steps instead of calling the model again', async () => {
+    let calls = 0;
+    const provider = {
+      name: 'Stub',
+      generateImage: async () => {
+        calls++;
+        return `data:image/png;base64,${Buffer.from(`call ${calls}`).toString(
+          'base64'
+        )}`;
+      },
+    };
+    const products = [
+      { name: 'Slim Fit T-shirt', image: `${PNG_URL}#shirt` },
+      { name: 'Relaxed Fit Jeans', image: `${PNG_URL}#jeans` },
+    ];
+
+    const checkpoints = {};
+    const images = await setup().generateOutfitImage(
+      provider,
+      PNG_URL,
+      products,
+      {
+        variations: 2,
+        onCheckpoint: async (key, image) => {
+          checkpoints[key] = image;
+        },
+      }
+    );
+    // Two extractions and two variations
+    assert.equal(calls, 4);
+    assert.equal(Object.keys(checkpoints).length, 4);
+
+    // A restarted worker has no cached extractions either
+    const resumed = await setup().generateOutfitImage(
+      provider,
+      PNG_URL,
+      products,
+      { variations: 2, checkpoints }
+    );
+    assert.equal(calls, 4);
+    assert.deepEqual([...resumed], [...images]);
+  });
+});
@@ -0,0 +1,91 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './helpers/load-background.js';
+
+// 1x1 PNG, used for every input image and as the canvas output
+const PNG_DATA =
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==';
+const PNG_URL = `data:image/png;base64,${PNG_DATA}`;
+
+/**
+ * Canvas stand-ins that record what the mock provider draws
+ */
+function createCanvasStubs() {
+  const drawn = [];
+  class OffscreenCanvas {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+    }
+
+    getContext() {
+      return {
+        drawImage: () => drawn.push('image'),
+        fillRect: () => {},
+        fillText: (text) => drawn.push(text),
+      };
+    }
+
+    async convertToBlob({ type }) {
+      return new Blob([Buffer.from(PNG_DATA, 'base64')], { type });
+    }
+  }
+
+  return {
+    drawn,
+    globals: {
+      // Data URLs only, the mock provider never touches the network
+      fetch: (url, options) => {
+        assert.ok(url.startsWith('data:'), `unexpected request to ${url}`);
+        return fetch(url, options);
+      },
+      createImageBitmap: async () => ({ width: 512, height: 768 }),
+      OffscreenCanvas,
+    },
+  };
+}
+
+describe('MockImageProvider', () => {
+  it('generates an outfit offline and records its usage', async () => {
+    const { drawn, globals } = createCanvasStubs();
+    const { chrome, createImageProvider, generateOutfitImage } =
+      loadBackground(
+        ['chrome', 'createImageProvider', 'generateOutfitImage'],
+        globals
+      );
+
+    const provider = createImageProvider({ provider: 'mock' });
+    const images = await generateOutfitImage(
+      provider,
+      PNG_URL,
+      [
+        { name: 'Slim Fit T-shirt', image: PNG_URL },
+        { name: 'Relaxed Fit Jeans', image: PNG_URL },
+      ],
+      { variations: 1 }
+    );
+
+    assert.deepEqual([...images], [PNG_URL]);
+    // Two badged extractions, then the base with both garments overlaid
+    assert.equal(drawn.filter((item) => item === 'MOCK').length, 3);
+    assert.deepEqual(drawn.slice(-4), ['image', 'image', 'image', 'MOCK']);
+
+    const storage = await chrome.storage.local.get(null);
+    const usage = [...storage.usageLog].map(({ provider, stage, cost }) => ({
+      provider,
+      stage,
+      cost,
+    }));
+    assert.deepEqual(usage, [
+      { provider: 'Mock', stage: 'extraction', cost: 0 },
+      { provider: 'Mock', stage: 'extraction', cost: 0 },
+      { provider: 'Mock', stage: 'composition', cost: 0 },
+    ]);
+
+    // Badged mock extractions must not be served to real providers later
+    assert.deepEqual(
+      Object.keys(storage).filter((key) => key.startsWith('productImage_')),
+      []
+    );
+  });
+});
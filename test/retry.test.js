@@ -0,0 +1,180 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './helpers/load-background.js';
+
+/**
+ * Loads the worker with a scripted fetch and timers that fire straight away
+ * @param {Array<Response|Function>} replies - Responses in call order; functions are called and may throw
+ * @returns {Object} - Background bindings plus the recorded requests and timer delays
+ */
+function setup(replies) {
+  const requests = [];
+  const delays = [];
+  const background = loadBackground(
+    [
+      'createImageProvider',
+      'withRetry',
+      'parseRetryAfter',
+      'Math',
+      'TypeError',
+    ],
+    {
+      fetch: async (url) => {
+        requests.push(url);
+        const reply = replies.shift();
+        return typeof reply === 'function' ? reply() : reply;
+      },
+      setTimeout: (callback, ms) => {
+        delays.push(ms);
+        setImmediate(callback);
+        return delays.length;
+      },
+    }
+  );
+  // Take the top of every jittered backoff window
+  background.Math.random = () => 1;
+
+  const provider = background.createImageProvider({
+    provider: 'custom',
+    baseUrl: 'https://gateway.test/v1',
+    model: 'test-model',
+  });
+  const run = (policy) => background.withRetry(() => provider.call({}), policy);
+
+  return { ...background, run, requests, delays };
+}
+
+const ok = () =>
+  new Response(JSON.stringify({ choices: [] }), {
+    headers: { 'content-type': 'application/json' },
+  });
+const fail = (status, headers = {}, body = 'error') =>
+  new Response(body, { status, headers });
+
+describe('withRetry', () => {
+  it('backs off exponentially on server errors', async () => {
+    const { run, requests, delays } = setup([fail(503), fail(502), ok()]);
+    const data = await run();
+    assert.equal(data.choices.length, 0);
+    assert.equal(requests.length, 3);
+    assert.deepEqual(delays, [2000, 4000]);
+  });
+
+  it('gives up after the last attempt', async () => {
+    const { run, requests, delays } = setup([
+      fail(500),
+      fail(500),
+      fail(500),
+      fail(500),
+    ]);
+    await assert.rejects(run(), (error) => error.kind === 'server');
+    assert.equal(requests.length, 4);
+    assert.deepEqual(delays, [2000, 4000, 8000]);
+  });
+
+  it('waits as long as Retry-After asks', async () => {
+    const { run, delays } = setup([fail(429, { 'retry-after': '10' }), ok()]);
+    await run();
+    assert.deepEqual(delays, [10000]);
+  });
+
+  it('gives up when Retry-After is longer than the policy allows', async () => {
+    const { run, requests } = setup([
+      fail(429, { 'retry-after': '600' }),
+      ok(),
+    ]);
+    await assert.rejects(run(), (error) => {
+      assert.equal(error.kind, 'rate_limit');
+      assert.equal(error.retryAfterMs, 600000);
+      return true;
+    });
+    assert.equal(requests.length, 1);
+  });
+
+  for (const [status, kind] of [
+    [400, 'request'],
+    [401, 'auth'],
+    [403, 'auth'],
+    [402, 'quota'],
+  ]) {
+    it(`does not retry ${status} (${kind}) errors`, async () => {
+      const { run, requests, delays } = setup([fail(status), ok()]);
+      await assert.rejects(run(), (error) => {
+        assert.equal(error.kind, kind);
+        assert.equal(error.retryable, false);
+        return true;
+      });
+      assert.equal(requests.length, 1);
+      assert.deepEqual(delays, []);
+    });
+  }
+
+  it('retries network failures', async () => {
+    const { run, requests, TypeError } = setup([
+      () => {
+        throw new TypeError('Failed to fetch');
+      },
+      ok(),
+    ]);
+    await run();
+    assert.equal(requests.length, 2);
+  });
+
+  it('retries errors reported inside a 200 response', async () => {
+    const { run, requests } = setup([
+      new Response(
+        JSON.stringify({ error: { code: 429, message: 'Upstream busy' } }),
+        { headers: { 'content-type': 'application/json' } }
+      ),
+      ok(),
+    ]);
+    await run();
+    assert.equal(requests.length, 2);
+  });
+
+  it('reports every retry', async () => {
+    const { run } = setup([fail(503), ok()]);
+    const retries = [];
+    await run({
+      onRetry: ({ attempt, delayMs }) => retries.push({ attempt, delayMs }),
+    });
+    assert.deepEqual(retries, [{ attempt: 1, delayMs: 2000 }]);
+  });
+
+  it('stops when the signal is aborted', async () => {
+    const { run, requests } = setup([fail(503), ok()]);
+    const controller = new AbortController();
+    controller.abort(new Error('Cancelled'));
+    await assert.rejects(run({ signal: controller.signal }), /Cancelled/);
+    assert.equal(requests.length, 0);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  const { parseRetryAfter } = loadBackground(['parseRetryAfter']);
+
+  it('reads Retry-After seconds', () => {
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after': '3' })), 3000);
+  });
+
+  it('reads a Retry-After HTTP date', () => {
+    const date = new Date(Date.now() + 60000).toUTCString();
+    const delay = parseRetryAfter(new Headers({ 'retry-after': date }));
+    assert.ok(delay > 58000 && delay <= 60000, `unexpected delay ${delay}`);
+  });
+
+  it("reads OpenRouter's X-RateLimit-Reset", () => {
+    const reset = String(Date.now() + 30000);
+    const delay = parseRetryAfter(new Headers({ 'x-ratelimit-reset': reset }));
+    assert.ok(delay > 28000 && delay <= 30000, `unexpected delay ${delay}`);
+  });
+
+  it("reads Gemini's retryDelay detail", () => {
+    const body = '{"error":{"details":[{"retryDelay": "7.5s"}]}}';
+    assert.equal(parseRetryAfter(new Headers(), body), 7500);
+  });
+
+  it('returns null when no delay is given', () => {
+    assert.equal(parseRetryAfter(new Headers(), 'Too many requests'), null);
+  });
+});
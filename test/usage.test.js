@@ -0,0 +1,93 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { loadBackground } from './helpers/load-background.js';
+
+const NOW = new Date(2026, 9, 18, 12).getTime();
+
+/**
+ * Date fixed at NOW, so month boundaries don't depend on when the tests run
+ */
+class FixedDate extends Date {
+  constructor(...args) {
+    super(...(args.length > 0 ? args : [NOW]));
+  }
+
+  static now() {
+    return NOW;
+  }
+}
+
+/**
+ * Loads the worker with a usage log already in storage
+ * @param {Array<Object>} [usageLog] - Stored usage entries
+ * @returns {Promise<Object>} - Background bindings
+ */
+async function setup(usageLog = []) {
+  const background = loadBackground(
+    ['chrome', 'recordUsage', 'getUsageSummary'],
+    { Date: FixedDate }
+  );
+  await background.chrome.storage.local.set({ usageLog });
+  return background;
+}
+
+/**
+ * Usage entry for a call that reported its own cost
+ */
+const call = (cost) => ({
+  provider: 'Test',
+  model: 'test-model',
+  stage: 'composition',
+  promptTokens: 10,
+  completionTokens: 20,
+  totalTokens: 30,
+  cost,
+});
+
+describe('recordUsage', () => {
+  it('keeps every entry when calls finish at the same time', async () => {
+    const { chrome, recordUsage } = await setup();
+    await Promise.all([1, 2, 3, 4, 5].map((cost) => recordUsage(call(cost))));
+
+    const { usageLog } = await chrome.storage.local.get('usageLog');
+    assert.deepEqual(
+      [...usageLog].map((entry) => entry.cost).sort(),
+      [1, 2, 3, 4, 5]
+    );
+  });
+});
+
+describe('usage retention', () => {
+  const at = (day, month = 9) => new Date(2026, month, day, 9).getTime();
+
+  it('counts every call of the month, however many there were', async () => {
+    const earlier = Array.from({ length: 1200 }, () => ({
+      ...call(0.01),
+      timestamp: at(2),
+    }));
+    const { recordUsage, getUsageSummary } = await setup(earlier);
+    await Promise.all([1, 2].map((cost) => recordUsage(call(cost))));
+
+    const { month } = await getUsageSummary();
+    assert.equal(month.calls, 1202);
+    assert.equal(Math.round(month.cost * 100) / 100, 15);
+  });
+
+  it('drops entries from before the previous month', async () => {
+    const { chrome, recordUsage, getUsageSummary } = await setup([
+      { ...call(4), timestamp: at(20, 7) },
+      { ...call(2), timestamp: at(30, 8) },
+      { ...call(1), timestamp: at(1) },
+    ]);
+    await recordUsage(call(3));
+
+    const { usageLog } = await chrome.storage.local.get('usageLog');
+    assert.deepEqual(
+      [...usageLog].map((entry) => entry.cost),
+      [2, 1, 3]
+    );
+    const { today, month } = await getUsageSummary();
+    assert.equal(today.cost, 3);
+    assert.equal(month.cost, 4);
+  });
+});
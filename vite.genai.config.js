@@ -0,0 +1,16 @@
+import { defineConfig } from 'vite';
+
+// Bundles @google/genai into a classic script for the background service worker, see src/lib/genai.js
+export default defineConfig({
+  publicDir: false,
+  build: {
+    outDir: 'dist/lib',
+    emptyOutDir: false,
+    lib: {
+      entry: 'src/lib/genai.js',
+      name: 'genai',
+      formats: ['iife'],
+      fileName: () => 'genai.js',
+    },
+  },
+});